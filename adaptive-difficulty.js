@@ -0,0 +1,146 @@
+/**
+ * adaptive-difficulty.js - SDA Trivia Challenge Adaptive Question Selection
+ *
+ * Elo-style ratings for players and questions. After every answer both ratings move toward
+ * the observed result (a fast correct answer counts for more than a slow one), and the next
+ * question is the one whose predicted success chance is closest to a target rate. The target
+ * drifts with the player's recent results so a struggling player gets a few easier questions
+ * and a player on a run gets stretched. Ratings persist in localStorage per player profile.
+ */
+
+const ADAPTIVE_STORAGE_KEY = 'adaptiveRatings';
+const ADAPTIVE_START_RATING = 1500;
+// Starting question ratings, taken from the hand-assigned difficulty labels
+const ADAPTIVE_DIFFICULTY_RATINGS = { easy: 1300, medium: 1500, hard: 1700 };
+const ADAPTIVE_PLAYER_K = 32;
+const ADAPTIVE_QUESTION_K = 16;
+const ADAPTIVE_TARGET_SUCCESS = 0.7;
+// How many of the latest answers shape the target, and how far it may drift
+const ADAPTIVE_RECENT_WINDOW = 5;
+const ADAPTIVE_TARGET_RANGE = [0.55, 0.85];
+
+function getAdaptiveRatings() {
+    try {
+        const data = JSON.parse(localStorage.getItem(ADAPTIVE_STORAGE_KEY));
+        if (data && data.players && data.questions) return data;
+    } catch (error) {
+        console.warn('Could not read adaptive ratings:', error);
+    }
+    return { players: {}, questions: {} };
+}
+
+function saveAdaptiveRatings(data) {
+    localStorage.setItem(ADAPTIVE_STORAGE_KEY, JSON.stringify(data));
+}
+
+/**
+ * Returns a player's rating profile, creating a default one if needed.
+ * @param {string} profile - The player profile name
+ * @returns {{rating: number, answered: number, recent: boolean[]}} - The profile
+ */
+function getAdaptivePlayer(profile) {
+    const player = getAdaptiveRatings().players[profile];
+    return player || { rating: ADAPTIVE_START_RATING, answered: 0, recent: [] };
+}
+
+/**
+ * Returns a question's current rating.
+ * @param {Object} question - The question
+ * @param {Object} [ratings] - Ratings already read from storage
+ * @returns {number} - The rating
+ */
+function getAdaptiveQuestionRating(question, ratings = getAdaptiveRatings()) {
+    const stored = ratings.questions[question.id];
+    if (stored) return stored.rating;
+    return ADAPTIVE_DIFFICULTY_RATINGS[question.difficulty] || ADAPTIVE_START_RATING;
+}
+
+/**
+ * Predicted chance that a player answers a question correctly.
+ * @param {number} playerRating - The player's rating
+ * @param {number} questionRating - The question's rating
+ * @returns {number} - A probability between 0 and 1
+ */
+function getExpectedSuccess(playerRating, questionRating) {
+    return 1 / (1 + Math.pow(10, (questionRating - playerRating) / 400));
+}
+
+/**
+ * Scores an answer between 0 and 1: wrong answers score 0, correct answers score 1 when
+ * given in the first 40% of the time limit and fall to 0.75 at the buzzer.
+ * @param {boolean} correct - Whether the answer was correct
+ * @param {number} seconds - Seconds taken to answer
+ * @param {number} timeLimit - The question time limit in seconds
+ * @returns {number} - The score
+ */
+function getAdaptiveAnswerScore(correct, seconds, timeLimit) {
+    if (!correct) return 0;
+    const fraction = timeLimit > 0 ? Math.min(1, Math.max(0, seconds / timeLimit)) : 0;
+    if (fraction <= 0.4) return 1;
+    return 1 - 0.25 * ((fraction - 0.4) / 0.6);
+}
+
+/**
+ * Success rate to aim for next, nudged away from the player's recent accuracy.
+ * @param {boolean[]} recent - Latest results, oldest first
+ * @returns {number} - The target success probability
+ */
+function getAdaptiveTarget(recent) {
+    if (!recent || recent.length === 0) return ADAPTIVE_TARGET_SUCCESS;
+    const latest = recent.slice(-ADAPTIVE_RECENT_WINDOW);
+    const accuracy = latest.filter(Boolean).length / latest.length;
+    const target = ADAPTIVE_TARGET_SUCCESS - (accuracy - ADAPTIVE_TARGET_SUCCESS) * 0.5;
+    return Math.min(ADAPTIVE_TARGET_RANGE[1], Math.max(ADAPTIVE_TARGET_RANGE[0], target));
+}
+
+/**
+ * Picks the question whose predicted success is closest to the player's target. One of the
+ * three closest is chosen at random so the same player does not always see the same order.
+ * @param {Object[]} candidates - Questions not asked yet this game
+ * @param {string} profile - The player profile name
+ * @returns {Object|null} - The next question, or null if there are no candidates
+ */
+function pickAdaptiveQuestion(candidates, profile) {
+    if (!candidates || candidates.length === 0) return null;
+    const ratings = getAdaptiveRatings();
+    const player = ratings.players[profile] || getAdaptivePlayer(profile);
+    const target = getAdaptiveTarget(player.recent);
+    const ranked = candidates
+        .map(question => ({
+            question,
+            distance: Math.abs(getExpectedSuccess(player.rating, getAdaptiveQuestionRating(question, ratings)) - target)
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3);
+    return ranked[Math.floor(Math.random() * ranked.length)].question;
+}
+
+/**
+ * Updates the player's and the question's ratings after an answer.
+ * @param {string} profile - The player profile name
+ * @param {Object} question - The question that was answered
+ * @param {boolean} correct - Whether the answer was correct
+ * @param {number} seconds - Seconds taken to answer
+ * @param {number} timeLimit - The question time limit in seconds
+ * @returns {number} - The player's new rating
+ */
+function recordAdaptiveResult(profile, question, correct, seconds, timeLimit) {
+    const ratings = getAdaptiveRatings();
+    const player = ratings.players[profile] || getAdaptivePlayer(profile);
+    const questionRating = getAdaptiveQuestionRating(question, ratings);
+    const expected = getExpectedSuccess(player.rating, questionRating);
+    const delta = getAdaptiveAnswerScore(correct, seconds, timeLimit) - expected;
+
+    player.rating = Math.round(player.rating + ADAPTIVE_PLAYER_K * delta);
+    player.answered++;
+    player.recent = player.recent.concat(correct).slice(-ADAPTIVE_RECENT_WINDOW);
+    ratings.players[profile] = player;
+
+    const storedQuestion = ratings.questions[question.id] || { rating: questionRating, attempts: 0 };
+    storedQuestion.rating = Math.round(questionRating - ADAPTIVE_QUESTION_K * delta);
+    storedQuestion.attempts++;
+    ratings.questions[question.id] = storedQuestion;
+
+    saveAdaptiveRatings(ratings);
+    return player.rating;
+}
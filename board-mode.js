@@ -0,0 +1,139 @@
+/**
+ * board-mode.js - SDA Trivia Challenge Category Board
+ *
+ * A team game played from a board of categories × point values, made to be projected at a
+ * quiz night. The team whose turn it is picks a tile, answers its question for the tile's value
+ * and the tile is used up; the teams take turns until the board is empty. Each value draws a
+ * question of the matching difficulty (see BOARD_VALUE_DIFFICULTIES), falling back to the
+ * nearest difficulty the category has.
+ *
+ * BOARD_DAILY_DOUBLES tiles (never in the cheapest row) are Daily Doubles: instead of the
+ * tile's value, the team wagers up to their score (or the top tile value, if that is more)
+ * with the regular wager input.
+ */
+
+const BOARD_VALUES = [100, 200, 300, 400, 500];
+const BOARD_VALUE_DIFFICULTIES = {
+    100: 'easy',
+    200: 'easy',
+    300: 'medium',
+    400: 'medium',
+    500: 'hard'
+};
+const BOARD_CATEGORY_COUNT = 5;
+const BOARD_DAILY_DOUBLES = 1;
+
+/**
+ * Picks a category's question for a tile value: one of the value's difficulty if the category
+ * has one left, otherwise one of the nearest difficulty.
+ * @param {Object[]} candidates - The category's questions not yet on the board
+ * @param {number} value - The tile value
+ * @param {function(): number} random - The random number generator
+ * @returns {Object|null} - The question, or null if the category has none left
+ */
+function pickBoardQuestion(candidates, value, random) {
+    const target = DIFFICULTY_ORDER.indexOf(BOARD_VALUE_DIFFICULTIES[value]);
+    for (let distance = 0; distance < DIFFICULTY_ORDER.length; distance++) {
+        const matches = candidates.filter(q => Math.abs(DIFFICULTY_ORDER.indexOf(q.difficulty) - target) === distance);
+        if (matches.length > 0) return matches[Math.floor(random() * matches.length)];
+    }
+    return candidates.length > 0 ? candidates[Math.floor(random() * candidates.length)] : null;
+}
+
+/**
+ * Builds a board from the categories with a question for every value.
+ * @param {Object[]} pool - The questions to draw from, in ID order so seeded games repeat
+ * @param {function(): number} [random] - The random number generator (defaults to gameRandom)
+ * @returns {{categories: string[], tiles: Object[][]}|null} - One column of tiles per category,
+ *   cheapest first; each tile is { category, value, question, dailyDouble, used }. Null if no
+ *   category has enough questions.
+ */
+function buildBoard(pool, random = gameRandom) {
+    const byCategory = {};
+    pool.forEach(q => {
+        (byCategory[q.category] = byCategory[q.category] || []).push(q);
+    });
+    const eligible = Object.keys(byCategory).filter(category => byCategory[category].length >= BOARD_VALUES.length);
+    if (eligible.length === 0) return null;
+    const picked = new Set(shuffle(eligible.slice(), random).slice(0, BOARD_CATEGORY_COUNT));
+    // Columns keep the order of the question bank
+    const categories = eligible.filter(category => picked.has(category));
+
+    const tiles = categories.map(category => {
+        const left = byCategory[category].slice();
+        return BOARD_VALUES.map(value => {
+            const question = pickBoardQuestion(left, value, random);
+            left.splice(left.indexOf(question), 1);
+            return { category, value, question, dailyDouble: false, used: false };
+        });
+    });
+    const doubleCandidates = [].concat(...tiles).filter(tile => tile.value !== BOARD_VALUES[0]);
+    shuffle(doubleCandidates, random).slice(0, BOARD_DAILY_DOUBLES).forEach(tile => {
+        tile.dailyDouble = true;
+    });
+    return { categories, tiles };
+}
+
+/**
+ * @param {Object} board - A board from buildBoard
+ * @returns {number} - How many tiles have not been picked yet
+ */
+function countOpenBoardTiles(board) {
+    return [].concat(...board.tiles).filter(tile => !tile.used).length;
+}
+
+/**
+ * The most a team can wager on a Daily Double: their score, or the top tile value if that is
+ * more, so a team that is behind can still catch up.
+ * @param {number} score - The team's score
+ * @returns {number}
+ */
+function getDailyDoubleLimit(score) {
+    return Math.max(score, BOARD_VALUES[BOARD_VALUES.length - 1]);
+}
+
+/**
+ * Draws the board: a header per category and a button per tile. Used tiles stay in place,
+ * blanked out, so the grid does not shift.
+ * @param {HTMLElement} el - The board container (#board)
+ * @param {Object} board - A board from buildBoard
+ * @param {function(Object)} onPick - Called with the tile a team picks
+ */
+function renderBoard(el, board, onPick) {
+    el.innerHTML = '';
+    el.style.setProperty('--board-columns', board.categories.length);
+    board.categories.forEach(category => {
+        const header = document.createElement('div');
+        header.className = 'board-category';
+        header.innerText = `${CATEGORY_ICONS[category] || ''} ${localizeCategory(category)}`;
+        el.appendChild(header);
+    });
+    // The grid fills row by row, so lay the columns of tiles out a value at a time
+    BOARD_VALUES.forEach((value, row) => {
+        board.tiles.forEach(column => {
+            const tile = column[row];
+            const btn = document.createElement('button');
+            btn.className = 'board-tile';
+            btn.innerText = tile.used ? '' : tile.value;
+            btn.disabled = tile.used;
+            btn.classList.toggle('used', tile.used);
+            btn.setAttribute('aria-label', t('board.tileLabel', '{category} for {value}', {
+                category: localizeCategory(tile.category),
+                value: tile.value
+            }));
+            btn.onclick = () => onPick(tile);
+            el.appendChild(btn);
+        });
+    });
+}
+
+/**
+ * Announces a Daily Double over the game screen.
+ */
+function showDailyDoubleSplash() {
+    const splash = document.createElement('div');
+    splash.className = 'daily-double-splash';
+    splash.innerText = t('board.dailyDouble', 'Daily Double!');
+    document.body.appendChild(splash);
+    setTimeout(() => splash.remove(), 1800);
+}
@@ -0,0 +1,93 @@
+/**
+ * buzz-in.js - SDA Trivia Challenge Buzz-In
+ *
+ * An option for team games: instead of taking turns, both teams see every question and race to
+ * buzz in with their key (a keyboard key, or a USB buzzer that types one). The first team to buzz
+ * locks the other out and has BUZZ_IN_ANSWER_SECONDS to answer. A wrong (or late) answer costs
+ * BUZZ_IN_POINTS and passes the question to the other team; a right one earns them. The host can
+ * press BUZZ_IN_RESET_KEY to clear a buzz, e.g. after a false start, and reopen the question.
+ *
+ * The team keys are picked on the start screen and kept for the next session.
+ */
+
+const BUZZ_IN_TEAMS = ['blue', 'black'];
+const BUZZ_IN_DEFAULT_KEYS = { blue: 'a', black: 'l' };
+const BUZZ_IN_KEYS_STORAGE_KEY = 'buzzInKeys';
+const BUZZ_IN_RESET_KEY = 'Escape';
+const BUZZ_IN_ANSWER_SECONDS = 7;
+// Buzz-in questions are worth a fixed amount, since nobody knows in advance who will answer
+const BUZZ_IN_POINTS = 10;
+
+/**
+ * Reads the team keys from the start screen. Keys are compared in lower case; an empty key, or
+ * both teams on the same key, falls back to the defaults.
+ * @returns {{blue: string, black: string}}
+ */
+function getBuzzInKeys() {
+    const keys = {};
+    BUZZ_IN_TEAMS.forEach(team => {
+        const input = document.getElementById(`buzz-key-${team}`);
+        const key = input ? input.value.trim().toLowerCase() : '';
+        keys[team] = key || BUZZ_IN_DEFAULT_KEYS[team];
+    });
+    return keys.blue === keys.black ? Object.assign({}, BUZZ_IN_DEFAULT_KEYS) : keys;
+}
+
+/**
+ * Whether a key press goes to a form field, e.g. a typed answer, rather than to the buzzers.
+ * @param {KeyboardEvent} e - The key press
+ * @returns {boolean}
+ */
+function isTypingInField(e) {
+    return Boolean(e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName));
+}
+
+/**
+ * Returns the team a key press buzzes for. Typing in a text field, held-down keys and
+ * shortcuts with modifiers never buzz.
+ * @param {KeyboardEvent} e - The key press
+ * @param {{blue: string, black: string}} keys - The team keys, see getBuzzInKeys
+ * @returns {string|null} - 'blue', 'black' or null
+ */
+function getBuzzingTeam(e, keys) {
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return null;
+    if (isTypingInField(e)) return null;
+    const key = e.key.toLowerCase();
+    return BUZZ_IN_TEAMS.find(team => keys[team] === key) || null;
+}
+
+/**
+ * Locks or unlocks the answer controls. Options already answered wrong stay locked.
+ * @param {HTMLElement} container - The options container
+ * @param {boolean} locked - Whether the controls are locked
+ */
+function setAnswerControlsLocked(container, locked) {
+    container.querySelectorAll('button, input').forEach(control => {
+        control.disabled = locked || control.classList.contains('incorrect');
+    });
+}
+
+/**
+ * Shows who may answer in the turn indicator, flashing it in the team's colour on a buzz.
+ * @param {HTMLElement} el - The turn indicator (#team-turn-indicator)
+ * @param {string|null} team - The team that buzzed (or was passed the question), or null while
+ *   the question is open to both
+ * @param {{blue: string, black: string}} keys - The team keys, see getBuzzInKeys
+ * @param {boolean} [passed] - The team was passed the question after a wrong answer
+ */
+function renderBuzzIndicator(el, team, keys, passed = false) {
+    el.classList.remove('buzzed-blue', 'buzzed-black');
+    if (!team) {
+        el.innerText = '🔔 ' + t('buzz.open', 'Buzz in! Blue: {blue} · Black: {black}', {
+            blue: keys.blue.toUpperCase(),
+            black: keys.black.toUpperCase()
+        });
+        return;
+    }
+    const name = team === 'blue' ? t('final.blueTeam', 'Blue Team') : t('final.blackTeam', 'Black Team');
+    el.innerText = passed
+        ? '↪️ ' + t('buzz.passed', 'Passed to {team}!', { team: name })
+        : '🔔 ' + t('buzz.buzzed', '{team} buzzed in!', { team: name });
+    void el.offsetWidth; // Restart the flash
+    el.classList.add(`buzzed-${team}`);
+}
@@ -0,0 +1,142 @@
+/**
+ * daily-challenge.js - SDA Trivia Challenge Daily Challenge
+ *
+ * Once per calendar day every player gets the same ten questions: the question bank is put in
+ * ID order and shuffled with a random number generator seeded from the date, so devices with
+ * the same questions and packs draw the same set. A challenge counts as played as soon as it
+ * starts (so it cannot be retried after seeing the questions); the score is saved when it ends.
+ * Playing on consecutive days builds a streak.
+ */
+
+const DAILY_CHALLENGE_STORAGE_KEY = 'dailyChallenge';
+const DAILY_CHALLENGE_LENGTH = 10;
+
+/**
+ * Returns the local calendar day used to seed and store a challenge.
+ * @param {Date} [date] - The day (defaults to today)
+ * @returns {string} - The day as YYYY-MM-DD
+ */
+function getDailyChallengeKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Returns the seed of a day's challenge, used for its questions and for the game itself
+ * (option order), see game-codes.js.
+ * @param {string} dayKey - The day, from getDailyChallengeKey
+ * @returns {string} - The seed
+ */
+function getDailyChallengeSeed(dayKey) {
+    return `daily:${dayKey}`;
+}
+
+/**
+ * Picks the questions of a day's challenge.
+ * @param {Object[]} pool - The questions to draw from (normally gameQuestions)
+ * @param {string} dayKey - The day, from getDailyChallengeKey
+ * @returns {Object[]} - DAILY_CHALLENGE_LENGTH questions (fewer if the pool is smaller)
+ */
+function getDailyChallengeQuestions(pool, dayKey) {
+    // Keep one question per ID so the draw does not depend on which duplicate was loaded
+    const seen = new Set();
+    const ordered = sortQuestionsById(pool).filter(q => !seen.has(q.id) && seen.add(q.id));
+    return shuffle(ordered, createSeededRandom(getDailyChallengeSeed(dayKey))).slice(0, DAILY_CHALLENGE_LENGTH);
+}
+
+/**
+ * Reads the saved challenge results.
+ * @returns {Object} - Map of day (YYYY-MM-DD) to { completed, score, correct, total }
+ */
+function getDailyChallengeResults() {
+    try {
+        const results = JSON.parse(localStorage.getItem(DAILY_CHALLENGE_STORAGE_KEY));
+        if (results && typeof results === 'object') return results;
+    } catch (error) {
+        console.warn('Could not read daily challenge results:', error);
+    }
+    return {};
+}
+
+function saveDailyChallengeResults(results) {
+    localStorage.setItem(DAILY_CHALLENGE_STORAGE_KEY, JSON.stringify(results));
+}
+
+/**
+ * Checks whether a day's challenge has been started on this device.
+ * @param {string} dayKey - The day, from getDailyChallengeKey
+ * @returns {boolean} - True if it can no longer be played
+ */
+function hasPlayedDailyChallenge(dayKey) {
+    return dayKey in getDailyChallengeResults();
+}
+
+/**
+ * Marks a day's challenge as played, before its first question is shown.
+ * @param {string} dayKey - The day, from getDailyChallengeKey
+ * @param {number} total - Number of questions in the challenge
+ */
+function startDailyChallenge(dayKey, total) {
+    const results = getDailyChallengeResults();
+    results[dayKey] = { completed: false, score: 0, correct: 0, total };
+    saveDailyChallengeResults(results);
+}
+
+/**
+ * Saves the result of a finished challenge.
+ * @param {string} dayKey - The day the challenge was started
+ * @param {{score: number, correct: number, total: number}} result - The final score
+ */
+function recordDailyChallengeResult(dayKey, result) {
+    const results = getDailyChallengeResults();
+    results[dayKey] = Object.assign({ completed: true }, result);
+    saveDailyChallengeResults(results);
+}
+
+/**
+ * Counts the consecutive days played up to a day. A streak survives until the end of the
+ * day after it was last extended, so it is not lost before today's challenge is played.
+ * @param {Object} results - Results from getDailyChallengeResults
+ * @param {string} [dayKey] - The day to count back from (defaults to today)
+ * @returns {number} - The streak in days
+ */
+function getDailyChallengeStreak(results, dayKey = getDailyChallengeKey()) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (!(getDailyChallengeKey(date) in results)) date.setDate(date.getDate() - 1);
+    let streak = 0;
+    while (getDailyChallengeKey(date) in results) {
+        streak++;
+        date.setDate(date.getDate() - 1);
+    }
+    return streak;
+}
+
+/**
+ * Updates the Daily Challenge button and the streak line on the start screen.
+ */
+function renderDailyChallengeSummary() {
+    const dailyBtn = document.getElementById('daily');
+    const status = document.getElementById('daily-status');
+    const results = getDailyChallengeResults();
+    const today = results[getDailyChallengeKey()];
+    const streak = getDailyChallengeStreak(results);
+    if (dailyBtn) {
+        dailyBtn.innerText = today
+            ? '✅ ' + t('start.dailyDone', 'Daily Challenge Done')
+            : '📅 ' + t('start.daily', 'Daily Challenge');
+        dailyBtn.disabled = Boolean(today);
+    }
+    if (status) {
+        const parts = [];
+        if (today && today.completed) {
+            parts.push(t('start.dailyScore', "Today's score: {score} ({correct}/{total})", today));
+        } else if (today) {
+            parts.push(t('start.dailyUnfinished', "Today's challenge was not finished."));
+        }
+        if (streak > 0) parts.push('🔥 ' + t('start.dailyStreak', 'Streak: {count} day(s)', { count: streak }));
+        status.innerText = parts.length > 0
+            ? parts.join(' · ')
+            : t('start.dailyHint', 'Everyone gets the same {count} questions today. New ones tomorrow!', { count: DAILY_CHALLENGE_LENGTH });
+    }
+}
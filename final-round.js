@@ -0,0 +1,51 @@
+/**
+ * final-round.js - SDA Trivia Challenge Final Question
+ *
+ * After the last regular question of a solo or team game comes one Final Question. Its
+ * category is revealed first, then each player (or each team, in turn and out of sight of the
+ * other) wagers any part of their score, from nothing up to all of it. Then a hard question is
+ * shown and answered; a right answer adds the wager, a wrong one takes it away.
+ *
+ * Games without wagers (study mode, custom quizzes that turn them off) and games with their own
+ * ending (Daily Challenge, Time Attack, Survival, custom quizzes) skip the Final Question.
+ */
+
+// The difficulties to draw the Final Question from, in order of preference
+const FINAL_ROUND_DIFFICULTIES = ['hard', 'medium', 'easy'];
+
+/**
+ * Picks the Final Question: the hardest difficulty available among the questions not yet asked.
+ * @param {Object[]} pool - The questions to draw from, in ID order so seeded games repeat
+ * @param {Object[]} asked - The questions asked in the game
+ * @param {function(): number} [random] - The random number generator (defaults to gameRandom)
+ * @returns {Object|null} - The question, or null if every question has been asked
+ */
+function pickFinalQuestion(pool, asked, random = gameRandom) {
+    const askedIds = new Set(asked.map(q => q.id));
+    const fresh = pool.filter(q => !askedIds.has(q.id));
+    for (const difficulty of FINAL_ROUND_DIFFICULTIES) {
+        const candidates = fresh.filter(q => q.difficulty === difficulty);
+        if (candidates.length > 0) return candidates[Math.floor(random() * candidates.length)];
+    }
+    return fresh.length > 0 ? fresh[Math.floor(random() * fresh.length)] : null;
+}
+
+/**
+ * Returns who plays the Final Question, in the order they wager and answer.
+ * @param {string} mode - 'solo' or 'teams'
+ * @returns {string[]} - 'solo', or 'blue' and 'black'
+ */
+function getFinalRoundPlayers(mode) {
+    return mode === 'teams' ? ['blue', 'black'] : ['solo'];
+}
+
+/**
+ * Returns the name a Final Question player is shown as.
+ * @param {string} player - 'solo', 'blue' or 'black'
+ * @returns {string} - The localized name
+ */
+function getFinalRoundPlayerName(player) {
+    if (player === 'blue') return t('final.blueTeam', 'Blue Team');
+    if (player === 'black') return t('final.blackTeam', 'Black Team');
+    return t('final.you', 'You');
+}
@@ -0,0 +1,230 @@
+/**
+ * fun-facts.js - SDA Trivia Challenge Fun Facts, Verses and Health Tips
+ *
+ * The facts shown in the start screen box and, after a game, in the end screen box. Each fact:
+ * - id: Unique identifier, e.g. FF001 (packs should use their own prefix)
+ * - text: The fact as shown, including its emoji and label or the verse citation
+ * - categories (optional): Question categories the fact goes with; facts without categories
+ *   are general and can be shown after any game
+ * - tags (optional): Question tags the fact goes with, see QUESTION_TAGS
+ * - references (optional): Bible / Ellen G. White references in the format of
+ *   question-references.js, shown as "Read the source" links
+ *
+ * The end screen prefers facts sharing a category or tag with the questions just played, so it
+ * reinforces what was studied. Question packs can contribute facts in a "facts" array (see
+ * question-packs.js); a pack fact with the id of a built-in fact replaces it. Translations of
+ * the built-in facts live in the "funFacts" section of the string catalogs, keyed by id.
+ */
+
+const FUN_FACTS = [
+    // Bible Verses
+    {
+        id: 'FF001',
+        text: '“I can do all things through Christ who strengthens me.” — Philippians 4:13',
+        references: [{ type: 'bible', book: 'Philippians', chapter: 4, verseStart: 13, verseEnd: 13 }]
+    },
+    {
+        id: 'FF002',
+        text: '“Trust in the Lord with all your heart and lean not on your own understanding.” — Proverbs 3:5',
+        references: [{ type: 'bible', book: 'Proverbs', chapter: 3, verseStart: 5, verseEnd: 5 }]
+    },
+    {
+        id: 'FF003',
+        text: '“Beloved, I pray that you may prosper in all things and be in health, just as your soul prospers.” — 3 John 1:2',
+        categories: ['Diet & Health'],
+        tags: ['Health Message'],
+        references: [{ type: 'bible', book: '3 John', chapter: 1, verseStart: 2, verseEnd: 2 }]
+    },
+    // Health Tips
+    {
+        id: 'FF004',
+        text: '🥗 Health Tip: Drinking enough water each day is crucial for many reasons: to regulate body temperature, keep joints lubricated, and deliver nutrients to cells.',
+        categories: ['Diet & Health'],
+        tags: ['Health Message']
+    },
+    {
+        id: 'FF005',
+        text: '🥦 Health Tip: Eating a variety of colorful fruits and vegetables helps your body get a wide range of nutrients.',
+        categories: ['Diet & Health'],
+        tags: ['Health Message']
+    },
+    {
+        id: 'FF006',
+        text: '🚶‍♂️ Health Tip: Just 30 minutes of walking a day can boost your mood and improve your health.',
+        categories: ['Diet & Health'],
+        tags: ['Health Message']
+    },
+    // Fun Facts
+    {
+        id: 'FF007',
+        text: '🌍 Fun Fact: The Seventh-day Adventist Church operates one of the largest Protestant educational systems in the world.',
+        categories: ['General SDA']
+    },
+    {
+        id: 'FF008',
+        text: '🎵 Fun Fact: Music can reduce anxiety, blood pressure, and pain as well as improve sleep quality, mood, and memory.',
+        categories: ['Music']
+    },
+    {
+        id: 'FF009',
+        text: '⏳ Fun Fact: The "Great Disappointment" of 1844 led to the formation of the Adventist movement.',
+        categories: ['General SDA', 'The Great Controversy'],
+        tags: ['1844', 'Pioneers']
+    },
+    // Verses and facts for the other categories
+    {
+        id: 'FF010',
+        text: '“Remember the sabbath day, to keep it holy.” — Exodus 20:8',
+        categories: ['General SDA', 'Bible People'],
+        tags: ['Sabbath', 'Old Testament'],
+        references: [{ type: 'bible', book: 'Exodus', chapter: 20, verseStart: 8, verseEnd: 8 }]
+    },
+    {
+        id: 'FF011',
+        text: '“Surely the Lord GOD will do nothing, but he revealeth his secret unto his servants the prophets.” — Amos 3:7',
+        categories: ['Prophecy'],
+        tags: ['Old Testament'],
+        references: [{ type: 'bible', book: 'Amos', chapter: 3, verseStart: 7, verseEnd: 7 }]
+    },
+    {
+        id: 'FF012',
+        text: '“I will come again, and receive you unto myself; that where I am, there ye may be also.” — John 14:3',
+        categories: ['Last Day Events'],
+        tags: ['Second Coming', 'Gospels'],
+        references: [{ type: 'bible', book: 'John', chapter: 14, verseStart: 3, verseEnd: 3 }]
+    },
+    {
+        id: 'FF013',
+        text: '📖 Fun Fact: Methuselah is the oldest person recorded in the Bible. He lived 969 years.',
+        categories: ['Bible People'],
+        tags: ['Old Testament', 'Patriarchs'],
+        references: [{ type: 'bible', book: 'Genesis', chapter: 5, verseStart: 27, verseEnd: 27 }]
+    },
+    {
+        id: 'FF014',
+        text: '👓 Fun Fact: The 2300 days of Daniel 8:14 are the longest time prophecy in the Bible, reaching from 457 B.C. to 1844.',
+        categories: ['Prophecy'],
+        tags: ['1844', 'Sanctuary'],
+        references: [{ type: 'bible', book: 'Daniel', chapter: 8, verseStart: 14, verseEnd: 14 }]
+    },
+    {
+        id: 'FF015',
+        text: '🎵 Fun Fact: Psalms, the hymnbook of ancient Israel, is the longest book of the Bible with 150 chapters.',
+        categories: ['Music'],
+        tags: ['Old Testament']
+    },
+    {
+        id: 'FF016',
+        text: '⚔️ Fun Fact: "The Great Controversy" follows the conflict between Christ and Satan from the fall of Jerusalem in A.D. 70 to the earth made new.',
+        categories: ['The Great Controversy'],
+        tags: ['Reformation'],
+        references: [{ type: 'egw', book: 'GC' }]
+    },
+    {
+        id: 'FF017',
+        text: '⚔️ Fun Fact: Ellen White was shown the great controversy theme in a vision at Lovett\'s Grove, Ohio, in 1858.',
+        categories: ['The Great Controversy', 'General SDA'],
+        tags: ['Pioneers']
+    }
+];
+
+// The facts in play: the built-in ones plus those contributed by packs
+const funFacts = FUN_FACTS.slice();
+
+/**
+ * Collects every problem with a fact object. Used for pack facts and by question-linter.js.
+ * @param {Object} fact - The fact to check
+ * @returns {string[]} - A list of human-readable problems (empty if the fact is valid)
+ */
+function getFunFactErrors(fact) {
+    if (!fact || typeof fact !== 'object') return ['Fact is not an object'];
+    const errors = [];
+    ['id', 'text'].forEach(prop => {
+        if (typeof fact[prop] !== 'string' || !fact[prop].trim()) {
+            errors.push(`Missing or empty "${prop}"`);
+        }
+    });
+    const isTextList = list => Array.isArray(list) && list.every(item => typeof item === 'string' && item.trim());
+    ['categories', 'tags'].forEach(prop => {
+        if (fact[prop] !== undefined && !isTextList(fact[prop])) {
+            errors.push(`"${prop}" must be an array of non-empty strings`);
+        }
+    });
+    if (fact.references !== undefined) {
+        if (!Array.isArray(fact.references)) {
+            errors.push('"references" must be an array');
+        } else {
+            fact.references.forEach((ref, i) => {
+                if (!ref || (ref.type !== 'bible' && ref.type !== 'egw') || typeof ref.book !== 'string') {
+                    errors.push(`Reference ${i + 1} needs a type of "bible" or "egw" and a book`);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Merges facts into a pool in place. Facts with an id already in the pool replace it.
+ * @param {Object[]} pool - The pool to merge into (normally funFacts)
+ * @param {Object[]} incoming - The facts to merge
+ * @returns {number} - How many facts were merged
+ */
+function mergeFunFacts(pool, incoming) {
+    incoming.forEach(fact => {
+        const index = pool.findIndex(existing => existing.id === fact.id);
+        if (index >= 0) pool[index] = fact;
+        else pool.push(fact);
+    });
+    return incoming.length;
+}
+
+/**
+ * Returns a random fact.
+ * @returns {Object} - A fact from funFacts
+ */
+function getRandomFunFact() {
+    return funFacts[Math.floor(Math.random() * funFacts.length)];
+}
+
+/**
+ * Picks a fact to go with the questions of a game. Facts sharing a category or tag with more
+ * of the questions are more likely; general facts are only used when nothing matches.
+ * @param {Object[]} played - The questions of the game
+ * @returns {Object} - A fact from funFacts
+ */
+function getRelatedFunFact(played) {
+    const weights = funFacts.map(fact => played.filter(question =>
+        (fact.categories || []).includes(question.category) ||
+        (fact.tags || []).some(tag => (question.tags || []).includes(tag))).length);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+        const general = funFacts.filter(fact => !fact.categories || fact.categories.length === 0);
+        return general.length > 0 ? general[Math.floor(Math.random() * general.length)] : getRandomFunFact();
+    }
+    let pick = Math.random() * total;
+    return funFacts.find((fact, i) => (pick -= weights[i]) < 0) || getRandomFunFact();
+}
+
+/**
+ * Shows a fact in a fact box, with a link for each of its references.
+ * @param {HTMLElement} box - The fact box (#fun-fact-box or #fun-fact-box-end)
+ * @param {Object} fact - The fact to show
+ */
+function renderFunFact(box, fact) {
+    box.innerText = localizeFunFact(fact);
+    (fact.references || []).forEach(ref => {
+        const link = document.createElement('a');
+        link.className = 'fun-fact-source';
+        link.href = getReferenceUrl(ref);
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.innerText = '📜 ' + t('funFact.readSource', 'Read {reference}', { reference: formatReference(ref) });
+        box.appendChild(link);
+    });
+}
+
+// question-linter.js lints the facts next to the questions, including facts from packs
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FUN_FACTS, getFunFactErrors };
+}
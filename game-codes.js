@@ -0,0 +1,121 @@
+/**
+ * game-codes.js - SDA Trivia Challenge Seeded Games and Game Codes
+ *
+ * Every game draws its randomness (question order, option order) from gameRandom, which
+ * startGame seeds afresh for each game. A game code packs the seed together with the start
+ * screen settings that pick the questions, e.g. "K7F3QX-20B-BP2PR1":
+ *   K7F3QX  the seed (six base-36 characters)
+ *   20B     the number of questions and the difficulty letter (see GAME_CODE_DIFFICULTIES)
+ *   BP2PR1  each picked category as its ID prefix (CATEGORY_ID_PREFIXES) and weight, or ALL
+ * Entering the code on another device with the same questions replays the same game.
+ */
+
+const GAME_SEED_LENGTH = 6;
+const GAME_SEED_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// Difficulty settings a code can hold; Adaptive depends on the player's rating, so it has none
+const GAME_CODE_DIFFICULTIES = { mixed: 'X', balanced: 'B', easy: 'E', medium: 'M', hard: 'H' };
+const GAME_CODE_PATTERN = /^([0-9A-Z]{6})-(\d{1,3})([XBEMH])-(ALL|(?:[A-Z]+[1-3])+)$/;
+
+// The random number generator games draw from (see shuffle in script.js)
+let gameRandom = Math.random;
+
+/**
+ * Creates a seeded random number generator (mulberry32 over an FNV-1a hash of the seed).
+ * @param {string} seed - Any string; the same seed always gives the same sequence
+ * @returns {function(): number} - A drop-in replacement for Math.random
+ */
+function createSeededRandom(seed) {
+    let state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let x = Math.imul(state ^ (state >>> 15), 1 | state);
+        x = (x + Math.imul(x ^ (x >>> 7), 61 | x)) ^ x;
+        return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Makes up a new seed for a game.
+ * @returns {string} - GAME_SEED_LENGTH base-36 characters
+ */
+function createGameSeed() {
+    let seed = '';
+    for (let i = 0; i < GAME_SEED_LENGTH; i++) {
+        seed += GAME_SEED_CHARACTERS[Math.floor(Math.random() * GAME_SEED_CHARACTERS.length)];
+    }
+    return seed;
+}
+
+/**
+ * Makes gameRandom follow a seed, so the rest of the game can be replayed.
+ * @param {string} seed - A seed from createGameSeed or a game code
+ */
+function setGameSeed(seed) {
+    gameRandom = createSeededRandom(seed);
+}
+
+/**
+ * Puts questions in ID order, so a seeded shuffle does not depend on the order in which
+ * packs and local edits were loaded. Questions sharing an ID keep their relative order.
+ * @param {Object[]} pool - The questions
+ * @returns {Object[]} - A sorted copy
+ */
+function sortQuestionsById(pool) {
+    return pool.slice().sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Builds the game code for a set of start screen settings.
+ * @param {Object} settings - The game settings
+ * @param {string} settings.seed - The game's seed
+ * @param {number} settings.length - Number of questions
+ * @param {string} settings.difficulty - A key of GAME_CODE_DIFFICULTIES
+ * @param {Object|null} settings.categories - Map of picked category to weight, or null for all
+ * @returns {string|null} - The code, or null if the settings cannot be put in one
+ */
+function encodeGameCode(settings) {
+    const difficulty = GAME_CODE_DIFFICULTIES[settings.difficulty];
+    if (!difficulty) return null;
+    let categories = 'ALL';
+    if (settings.categories) {
+        const parts = Object.keys(settings.categories).map(category => {
+            const prefix = CATEGORY_ID_PREFIXES[category];
+            return prefix ? prefix + settings.categories[category] : null;
+        });
+        // Categories added by packs have no prefix
+        if (parts.includes(null)) return null;
+        categories = parts.sort().join('');
+    }
+    return `${settings.seed}-${settings.length}${difficulty}-${categories}`;
+}
+
+/**
+ * Reads a game code.
+ * @param {string} code - A code from encodeGameCode (case and surrounding spaces are ignored)
+ * @returns {Object|null} - The settings (as taken by encodeGameCode), or null if the code is
+ *   malformed or names a category this version does not know
+ */
+function decodeGameCode(code) {
+    const match = GAME_CODE_PATTERN.exec(String(code).trim().toUpperCase());
+    if (!match) return null;
+    const [, seed, length, letter, categoryPart] = match;
+    const difficulty = Object.keys(GAME_CODE_DIFFICULTIES).find(key => GAME_CODE_DIFFICULTIES[key] === letter);
+    if (parseInt(length, 10) < 1) return null;
+
+    let categories = null;
+    if (categoryPart !== 'ALL') {
+        categories = {};
+        const byPrefix = {};
+        Object.keys(CATEGORY_ID_PREFIXES).forEach(category => { byPrefix[CATEGORY_ID_PREFIXES[category]] = category; });
+        const partPattern = /([A-Z]+)([1-3])/g;
+        let part;
+        while ((part = partPattern.exec(categoryPart)) !== null) {
+            if (!byPrefix[part[1]]) return null;
+            categories[byPrefix[part[1]]] = parseInt(part[2], 10);
+        }
+    }
+    return { seed, length: parseInt(length, 10), difficulty, categories };
+}
@@ -0,0 +1,168 @@
+/**
+ * i18n.js - SDA Trivia Challenge Localization
+ *
+ * English text stays where it is written: in index.html and as the fallback argument of
+ * every t() call. Each other language has a string catalog in locales/<code>.json:
+ *
+ * {
+ *     "strings": { "start.solo": "Un jugador", "score.solo": "Puntos: {score}" },
+ *     "lists": { "ENCOURAGEMENTS_CORRECT": [...], "RIGHT_OVERLAYS": [...] },
+ *     "funFacts": { "FF001": "..." },
+ *     "achievements": { "novice_guardian": { "name": "...", "description": "..." } },
+ *     "categories": { "Bible People": "Personajes bíblicos" },
+ *     "tags": { "Patriarchs": "Patriarcas" }
+ * }
+ *
+ * Anything missing from a catalog falls back to English. Elements in index.html opt in with
+ * data-i18n="key" (text) and data-i18n-attr="attribute:key;..." (attributes). Questions are
+ * translated by translation packs keyed by question ID (see question-packs.js); questions
+ * without a translation are played in English. The host tools (question editor) stay English.
+ */
+
+const LANGUAGE_STORAGE_KEY = 'language';
+const DEFAULT_LANGUAGE = 'en';
+const LOCALE_DIR = 'locales/';
+const SUPPORTED_LANGUAGES = {
+    en: 'English',
+    es: 'Español',
+    pt: 'Português',
+    fr: 'Français',
+    sw: 'Kiswahili'
+};
+
+/**
+ * Returns the saved language, or the browser's language when it is supported.
+ * @returns {string} - A key of SUPPORTED_LANGUAGES
+ */
+function getSavedLanguage() {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (saved && SUPPORTED_LANGUAGES[saved]) return saved;
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return SUPPORTED_LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE;
+}
+
+const currentLanguage = getSavedLanguage();
+let localeCatalog = { strings: {}, lists: {}, funFacts: {}, achievements: {}, categories: {}, tags: {} };
+
+/**
+ * Loads the string catalog for a language. Never rejects: a missing catalog means English.
+ * @param {string} language - A key of SUPPORTED_LANGUAGES
+ * @returns {Promise<Object>} - Resolves with the catalog in use
+ */
+function loadLocale(language) {
+    if (language === DEFAULT_LANGUAGE) return Promise.resolve(localeCatalog);
+    return fetch(`${LOCALE_DIR}${language}.json`)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(catalog => {
+            localeCatalog = Object.assign({ strings: {}, lists: {}, funFacts: {}, achievements: {}, categories: {}, tags: {} }, catalog);
+            return localeCatalog;
+        })
+        .catch(error => {
+            console.warn(`Could not load the ${language} string catalog, using English:`, error);
+            return localeCatalog;
+        });
+}
+
+// Starts loading right away; script.js waits for it before rendering translated text
+const localeReady = loadLocale(currentLanguage);
+
+/**
+ * Translates a UI string.
+ * @param {string} key - The catalog key, e.g. "score.solo"
+ * @param {string} english - The English text, used when the catalog has no translation
+ * @param {Object} [params] - Values for {placeholders} in the text
+ * @returns {string} - The translated text
+ */
+function t(key, english, params = {}) {
+    const text = localeCatalog.strings[key] || english;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Returns the translated version of a list of strings (encouragements, overlays).
+ * @param {string} name - The list name in the catalog, e.g. "RIGHT_OVERLAYS"
+ * @param {string[]} english - The English list
+ * @returns {string[]} - The translated list, or the English one
+ */
+function localizeList(name, english) {
+    const list = localeCatalog.lists[name];
+    return Array.isArray(list) && list.length > 0 ? list : english;
+}
+
+/**
+ * Returns a fun fact's text in the current language (see fun-facts.js).
+ * @param {Object} fact - An entry of funFacts
+ * @returns {string} - The translated text, or the fact's own text
+ */
+function localizeFunFact(fact) {
+    return localeCatalog.funFacts[fact.id] || fact.text;
+}
+
+/**
+ * Returns an achievement's name and description in the current language.
+ * @param {Object} achievement - An entry of ACHIEVEMENTS
+ * @returns {{name: string, description: string}} - The translated texts
+ */
+function localizeAchievement(achievement) {
+    const translated = localeCatalog.achievements[achievement.id] || {};
+    return {
+        name: translated.name || achievement.name,
+        description: translated.description || achievement.description
+    };
+}
+
+function localizeCategory(category) {
+    return localeCatalog.categories[category] || category;
+}
+
+function localizeTag(tag) {
+    return localeCatalog.tags[tag] || tag;
+}
+
+/**
+ * Translates every element marked with data-i18n or data-i18n-attr. The English text is
+ * remembered on the element so it can be used as the fallback.
+ * @param {ParentNode} [root] - Where to look (defaults to the whole document)
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        if (el.dataset.i18nEnglish === undefined) el.dataset.i18nEnglish = el.textContent.trim();
+        const params = el.dataset.i18nCount !== undefined ? { count: el.dataset.i18nCount } : {};
+        el.textContent = t(el.dataset.i18n, el.dataset.i18nEnglish, params);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (!attribute || !key) return;
+            const englishKey = `i18nEnglish${attribute.replace(/(^|-)(\w)/g, (m, dash, c) => c.toUpperCase())}`;
+            if (el.dataset[englishKey] === undefined) el.dataset[englishKey] = el.getAttribute(attribute) || '';
+            el.setAttribute(attribute, t(key, el.dataset[englishKey]));
+        });
+    });
+    document.documentElement.lang = currentLanguage;
+}
+
+/**
+ * Saves the chosen language and reloads, so UI strings, question packs and translations
+ * are all loaded fresh for it.
+ * @param {string} language - A key of SUPPORTED_LANGUAGES
+ */
+function setLanguage(language) {
+    if (!SUPPORTED_LANGUAGES[language] || language === currentLanguage) return;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    location.reload();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const languageSelect = document.getElementById('language-select');
+    if (languageSelect) {
+        languageSelect.innerHTML = Object.keys(SUPPORTED_LANGUAGES)
+            .map(code => `<option value="${code}">${SUPPORTED_LANGUAGES[code]}</option>`).join('');
+        languageSelect.value = currentLanguage;
+        languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+    }
+    localeReady.then(() => applyTranslations());
+});
@@ -0,0 +1,294 @@
+/**
+ * lesson-plans.js - SDA Trivia Challenge Sabbath School Lesson Plans
+ *
+ * A lesson plan maps the weeks of a Sabbath School quarterly to questions, so the start
+ * screen can offer "This Week's Lesson" with questions for the lesson being studied. Plans
+ * are imported on the Lesson Plans host screen as JSON files in this format:
+ *   {
+ *     "type": "lesson-plan",
+ *     "quarter": "2026 Q4",
+ *     "title": "The Sanctuary",
+ *     "start": "2026-10-03",
+ *     "lessons": [
+ *       { "week": 1, "topic": "The Plan Given to Moses", "tags": ["Sanctuary"],
+ *         "questionIds": ["PR001", "BP045"], "count": 10 }
+ *     ]
+ *   }
+ * "start" is the Sabbath the first lesson is taught; each lesson is studied in the seven days
+ * up to and including its Sabbath. A lesson's questions are all of its listed IDs, then
+ * questions with any of its tags (see question-tags.js), up to "count" (default 10).
+ */
+
+const LESSON_PLANS_STORAGE_KEY = 'lessonPlans';
+const LESSON_PLAN_TYPE = 'lesson-plan';
+const LESSON_DEFAULT_QUESTION_COUNT = 10;
+const LESSON_MAX_WEEKS = 14;
+
+/**
+ * Reads the imported lesson plans.
+ * @returns {Object[]} - Plans in the format described above
+ */
+function getLessonPlans() {
+    try {
+        const plans = JSON.parse(localStorage.getItem(LESSON_PLANS_STORAGE_KEY));
+        if (Array.isArray(plans)) return plans;
+    } catch (error) {
+        console.warn('Could not read lesson plans:', error);
+    }
+    return [];
+}
+
+function saveLessonPlans(plans) {
+    localStorage.setItem(LESSON_PLANS_STORAGE_KEY, JSON.stringify(plans));
+}
+
+/**
+ * Parses a YYYY-MM-DD date as a day number, so whole days can be compared without
+ * daylight saving time getting in the way.
+ * @param {string} value - The date
+ * @returns {number|null} - Days since 1970-01-01, or null if the date is not valid
+ */
+function parseLessonDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return Math.round(date.getTime() / DAY_MS);
+}
+
+/**
+ * Collects every problem with a lesson plan.
+ * @param {Object} plan - The parsed plan file
+ * @returns {string[]} - A list of problems (empty if the plan can be imported)
+ */
+function getLessonPlanErrors(plan) {
+    if (!plan || typeof plan !== 'object') return ['Plan is not an object'];
+    const errors = [];
+    if (plan.type !== LESSON_PLAN_TYPE) errors.push(`"type" must be "${LESSON_PLAN_TYPE}"`);
+    ['quarter', 'title'].forEach(prop => {
+        if (typeof plan[prop] !== 'string' || !plan[prop].trim()) errors.push(`"${prop}" must be a non-empty string`);
+    });
+    if (parseLessonDay(plan.start) === null) errors.push('"start" must be a date like 2026-10-03');
+    if (!Array.isArray(plan.lessons) || plan.lessons.length === 0) {
+        errors.push('"lessons" must be a non-empty array');
+        return errors;
+    }
+    const weeks = new Set();
+    plan.lessons.forEach((lesson, i) => {
+        const where = `Lesson ${i + 1}`;
+        if (!Number.isInteger(lesson.week) || lesson.week < 1 || lesson.week > LESSON_MAX_WEEKS) {
+            errors.push(`${where}: "week" must be a whole number from 1 to ${LESSON_MAX_WEEKS}`);
+        } else if (weeks.has(lesson.week)) {
+            errors.push(`${where}: week ${lesson.week} is listed twice`);
+        }
+        weeks.add(lesson.week);
+        if (typeof lesson.topic !== 'string' || !lesson.topic.trim()) errors.push(`${where}: "topic" must be a non-empty string`);
+        ['tags', 'questionIds'].forEach(prop => {
+            if (lesson[prop] !== undefined && (!Array.isArray(lesson[prop]) ||
+                lesson[prop].some(value => typeof value !== 'string' || !value.trim()))) {
+                errors.push(`${where}: "${prop}" must be an array of non-empty strings`);
+            }
+        });
+        if (!(lesson.tags || []).length && !(lesson.questionIds || []).length) {
+            errors.push(`${where}: give "tags" or "questionIds" so the lesson has questions`);
+        }
+        if (lesson.count !== undefined && (!Number.isInteger(lesson.count) || lesson.count < 1)) {
+            errors.push(`${where}: "count" must be a positive whole number`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Finds the lesson taught in the week of a date.
+ * @param {Object[]} plans - Plans from getLessonPlans
+ * @param {Date} [date] - The day (defaults to today)
+ * @returns {{plan: Object, lesson: Object}|null} - The lesson and its plan, or null
+ */
+function getLessonForDate(plans, date = new Date()) {
+    const today = Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+    for (const plan of plans) {
+        // The week of lesson 1 runs up to and including its Sabbath
+        const week = Math.floor((today - parseLessonDay(plan.start) + 6) / 7) + 1;
+        const lesson = plan.lessons.find(l => l.week === week);
+        if (lesson) return { plan, lesson };
+    }
+    return null;
+}
+
+/**
+ * Lists every question that belongs to a lesson: its listed IDs, then its tagged questions.
+ * @param {Object} lesson - A lesson of a plan
+ * @param {Object[]} pool - The questions to look in (normally gameQuestions)
+ * @returns {{listed: Object[], tagged: Object[]}} - The questions, without duplicates
+ */
+function getLessonQuestions(lesson, pool) {
+    const listed = (lesson.questionIds || [])
+        .map(id => pool.find(q => q.id === id))
+        .filter(Boolean);
+    const ids = new Set(listed.map(q => q.id));
+    const tagged = pool.filter(q => !ids.has(q.id) && (lesson.tags || []).some(tag => questionMatchesTag(q, tag)));
+    return { listed, tagged };
+}
+
+/**
+ * Builds the quiz for a lesson, played like a custom quiz (see quiz-builder.js).
+ * @param {Object} plan - The lesson's plan
+ * @param {Object} lesson - The lesson
+ * @param {Object[]} pool - The questions to pick from
+ * @param {string} mode - 'solo' or 'teams'
+ * @returns {Object} - A quiz for startGame
+ */
+function buildLessonQuiz(plan, lesson, pool, mode) {
+    const { listed, tagged } = getLessonQuestions(lesson, pool);
+    const count = lesson.count || LESSON_DEFAULT_QUESTION_COUNT;
+    const questions = listed.concat(shuffle(tagged)).slice(0, Math.max(count, listed.length));
+    return {
+        name: `${plan.quarter}, Lesson ${lesson.week}: ${lesson.topic}`,
+        questionIds: questions.map(q => q.id),
+        rules: Object.assign({}, DEFAULT_CUSTOM_QUIZ_RULES, { mode, shuffleQuestions: true })
+    };
+}
+
+/**
+ * Builds an empty plan with thirteen weeks starting on the next Sabbath, as a starting point
+ * for a new quarter.
+ * @returns {Object} - A plan in the import format
+ */
+function buildLessonPlanTemplate() {
+    const start = new Date();
+    start.setDate(start.getDate() + ((6 - start.getDay() + 7) % 7));
+    const pad = n => String(n).padStart(2, '0');
+    return {
+        type: LESSON_PLAN_TYPE,
+        quarter: `${start.getFullYear()} Q${Math.floor(start.getMonth() / 3) + 1}`,
+        title: 'Quarterly title',
+        start: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`,
+        lessons: Array.from({ length: 13 }, (_, i) => ({
+            week: i + 1,
+            topic: `Lesson ${i + 1} title`,
+            tags: [],
+            questionIds: []
+        }))
+    };
+}
+
+/**
+ * Shows "This Week's Lesson" on the start screen when a plan covers today.
+ */
+function renderLessonOfWeek() {
+    const wrapper = document.getElementById('lesson-of-week');
+    const title = document.getElementById('lesson-of-week-title');
+    if (!wrapper || !title) return;
+    const current = getLessonForDate(getLessonPlans());
+    const { listed, tagged } = current ? getLessonQuestions(current.lesson, gameQuestions) : { listed: [], tagged: [] };
+    if (!current || listed.length + tagged.length === 0) {
+        wrapper.style.display = 'none';
+        return;
+    }
+    const count = Math.min(listed.length + tagged.length, Math.max(current.lesson.count || LESSON_DEFAULT_QUESTION_COUNT, listed.length));
+    title.innerText = '📖 ' + t('start.lessonOfWeek', "This Week's Lesson: {topic} (Lesson {week}, {count} questions)",
+        { topic: current.lesson.topic, week: current.lesson.week, count });
+    wrapper.style.display = '';
+    ['solo', 'teams'].forEach(mode => {
+        const btn = document.getElementById(`lesson-${mode}`);
+        btn.onclick = () => startGame(mode, buildLessonQuiz(current.plan, current.lesson, gameQuestions, mode));
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const lessonsScreen = document.getElementById('lessons-screen');
+    const lessonsBtn = document.getElementById('lessons-btn');
+    const plansList = document.getElementById('lessons-list');
+    const errorsList = document.getElementById('lessons-errors');
+    const importFile = document.getElementById('lessons-import-file');
+    if (!lessonsScreen || !lessonsBtn) return;
+
+    function showErrors(errors) {
+        errorsList.innerHTML = '';
+        errors.forEach(message => {
+            const li = document.createElement('li');
+            li.textContent = message;
+            errorsList.appendChild(li);
+        });
+    }
+
+    function renderPlans() {
+        const plans = getLessonPlans();
+        const current = getLessonForDate(plans);
+        plansList.innerHTML = '';
+        if (plans.length === 0) {
+            plansList.innerHTML = '<li class="editor-hint">No lesson plans yet. Download the template, fill it in and import it.</li>';
+        }
+        plans.forEach(plan => {
+            const li = document.createElement('li');
+            li.className = 'reports-item';
+            const heading = document.createElement('h3');
+            heading.textContent = `${plan.quarter} — ${plan.title} (from ${plan.start})`;
+            const lessons = document.createElement('ul');
+            lessons.className = 'lessons-weeks';
+            plan.lessons.slice().sort((a, b) => a.week - b.week).forEach(lesson => {
+                const { listed, tagged } = getLessonQuestions(lesson, gameQuestions);
+                const missing = (lesson.questionIds || []).length - listed.length;
+                const item = document.createElement('li');
+                if (current && current.lesson === lesson) item.className = 'current';
+                item.textContent = `Week ${lesson.week}: ${lesson.topic} — ${listed.length} listed, ${tagged.length} tagged` +
+                    (missing > 0 ? `, ${missing} unknown ID(s)` : '') +
+                    ((lesson.tags || []).length ? ` [${lesson.tags.join(', ')}]` : '');
+                lessons.appendChild(item);
+            });
+            const remove = document.createElement('button');
+            remove.className = 'comic-button';
+            remove.textContent = 'Delete Plan';
+            remove.onclick = () => {
+                if (!confirm(`Delete the lesson plan for ${plan.quarter}?`)) return;
+                saveLessonPlans(getLessonPlans().filter(p => p.quarter !== plan.quarter));
+                renderPlans();
+            };
+            li.append(heading, lessons, remove);
+            plansList.appendChild(li);
+        });
+    }
+
+    document.getElementById('lessons-import').onclick = () => importFile.click();
+
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        importFile.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const plan = JSON.parse(text);
+                const errors = getLessonPlanErrors(plan);
+                showErrors(errors);
+                if (errors.length > 0) return;
+                const plans = getLessonPlans();
+                if (plans.some(p => p.quarter === plan.quarter) &&
+                    !confirm(`Replace the lesson plan for ${plan.quarter}?`)) return;
+                saveLessonPlans(plans.filter(p => p.quarter !== plan.quarter).concat(plan));
+                renderPlans();
+            })
+            .catch(error => {
+                console.warn('Could not import lesson plan:', error);
+                showErrors([`Could not read ${file.name}: ${error.message}`]);
+            });
+    });
+
+    document.getElementById('lessons-template').onclick = () => {
+        downloadJson(buildLessonPlanTemplate(), 'lesson-plan-template.json');
+    };
+
+    lessonsBtn.onclick = () => {
+        slideOut(container, () => {
+            slideIn(lessonsScreen);
+            showErrors([]);
+            renderPlans();
+        });
+    };
+
+    document.getElementById('lessons-back').onclick = () => {
+        renderLessonOfWeek();
+        slideOut(lessonsScreen, () => slideIn(container));
+    };
+});
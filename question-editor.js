@@ -0,0 +1,323 @@
+/**
+ * question-editor.js - SDA Trivia Challenge Question Editor
+ *
+ * Host screen for creating, editing, duplicating and deleting questions without touching
+ * questions.js. Edits are validated live with getQuestionValidationErrors, saved to
+ * localStorage, applied on top of the question pool at startup and can be exported as a
+ * question pack (see question-packs.js) to share with the rest of the team.
+ */
+
+const QUESTION_EDITOR_STORAGE_KEY = 'questionEditorData';
+
+/**
+ * Reads the locally saved edits.
+ * @returns {{questions: Object[], deletedIds: string[]}} - Saved and deleted questions
+ */
+function getQuestionEditorData() {
+    try {
+        const data = JSON.parse(localStorage.getItem(QUESTION_EDITOR_STORAGE_KEY));
+        if (data && Array.isArray(data.questions) && Array.isArray(data.deletedIds)) return data;
+    } catch (error) {
+        console.warn('Could not read saved question edits:', error);
+    }
+    return { questions: [], deletedIds: [] };
+}
+
+function saveQuestionEditorData(data) {
+    localStorage.setItem(QUESTION_EDITOR_STORAGE_KEY, JSON.stringify(data));
+}
+
+/**
+ * Applies the locally saved edits to a question pool in place: deleted questions are removed,
+ * then saved questions are merged in (replacing questions with the same id).
+ * @param {Object[]} pool - The pool to update (normally gameQuestions)
+ */
+function applyLocalQuestionEdits(pool) {
+    const data = getQuestionEditorData();
+    const deleted = new Set(data.deletedIds);
+    const kept = pool.filter(q => !deleted.has(q.id));
+    pool.splice(0, pool.length, ...kept);
+    mergeQuestionsIntoPool(pool, data.questions.filter(validateQuestion));
+}
+
+/**
+ * Removes every question with an id from a pool in place.
+ * @param {Object[]} pool - The pool to update (normally gameQuestions)
+ * @param {string} id - The id of the question to remove
+ */
+function removeQuestionFromPool(pool, id) {
+    pool.splice(0, pool.length, ...pool.filter(q => q.id !== id));
+}
+
+/**
+ * Suggests the next free id for a category, e.g. "PR039" for Prophecy.
+ * @param {string} category - The question category
+ * @returns {string} - An id not used in gameQuestions
+ */
+function suggestQuestionId(category) {
+    const prefix = CATEGORY_ID_PREFIXES[category] || 'Q';
+    const pattern = new RegExp(`^${prefix}(\\d+)$`);
+    const highest = gameQuestions.reduce((max, q) => {
+        const match = pattern.exec(q.id);
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+    return prefix + String(highest + 1).padStart(3, '0');
+}
+
+/**
+ * Builds a question pack from the locally saved questions.
+ * @returns {Object} - A pack in the format read by loadQuestionPacks
+ */
+function buildLocalQuestionPack() {
+    const { questions } = getQuestionEditorData();
+    return {
+        id: 'local-edits',
+        version: new Date().toISOString().slice(0, 10),
+        language: DEFAULT_PACK_LANGUAGE,
+        categories: Array.from(new Set(questions.map(q => q.category))),
+        questions
+    };
+}
+
+/**
+ * Starts a browser download of a JSON document.
+ * @param {Object} data - The data to serialize
+ * @param {string} filename - The suggested file name
+ */
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const editorScreen = document.getElementById('editor-screen');
+    const editorBtn = document.getElementById('editor-btn');
+    const editorForm = document.getElementById('editor-form');
+    const searchInput = document.getElementById('editor-search');
+    const list = document.getElementById('editor-list');
+    const countText = document.getElementById('editor-count');
+    const errorsList = document.getElementById('editor-errors');
+    const idInput = document.getElementById('editor-id');
+    const questionInput = document.getElementById('editor-question');
+    const optionInputs = Array.from(document.querySelectorAll('.editor-option'));
+    const answerSelect = document.getElementById('editor-answer');
+    const categoryInput = document.getElementById('editor-category');
+    const categoryList = document.getElementById('editor-category-list');
+    const difficultySelect = document.getElementById('editor-difficulty');
+    const tagsInput = document.getElementById('editor-tags');
+    const explanationInput = document.getElementById('editor-explanation');
+    const optionExplanationInputs = Array.from(document.querySelectorAll('.editor-option-explanation'));
+    if (!editorScreen || !editorBtn) return;
+
+    // Id of the question loaded in the form, or null while creating a new one
+    let editingId = null;
+    // The form only has fields for multiple-choice questions (see question-types.js)
+    let editingType = 'multiple-choice';
+    // The form has no media or reference fields, so a loaded question keeps its image or
+    // audio clip and its Bible / Ellen G. White references. References and tags the game
+    // guessed from the text are left out, so they are guessed again from the edited text.
+    let editingMedia = null;
+    let editingReferences = null;
+
+    function readForm() {
+        const question = {
+            id: idInput.value.trim(),
+            question: questionInput.value.trim(),
+            options: optionInputs.map(input => input.value.trim()).filter(Boolean),
+            answer: answerSelect.value,
+            category: categoryInput.value.trim(),
+            difficulty: difficultySelect.value
+        };
+        const tags = tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length > 0) question.tags = tags;
+        const explanation = explanationInput.value.trim();
+        if (explanation) question.explanation = explanation;
+        // Each "why wrong" box belongs to the option box in the same position
+        const optionExplanations = {};
+        optionInputs.forEach((input, i) => {
+            const option = input.value.trim();
+            const why = optionExplanationInputs[i] ? optionExplanationInputs[i].value.trim() : '';
+            if (option && why && option !== question.answer) optionExplanations[option] = why;
+        });
+        if (Object.keys(optionExplanations).length > 0) question.optionExplanations = optionExplanations;
+        if (editingMedia) question.media = editingMedia;
+        if (editingReferences) question.references = editingReferences;
+        return question;
+    }
+
+    // The answer is picked from the current options so it always matches one exactly
+    function refreshAnswerOptions(selected) {
+        const options = optionInputs.map(input => input.value.trim()).filter(Boolean);
+        const current = selected !== undefined ? selected : answerSelect.value;
+        answerSelect.innerHTML = '';
+        options.forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option;
+            opt.textContent = option;
+            answerSelect.appendChild(opt);
+        });
+        if (options.includes(current)) answerSelect.value = current;
+    }
+
+    function getFormErrors(question) {
+        const errors = getQuestionValidationErrors(question);
+        if (editingType !== 'multiple-choice') {
+            errors.unshift(`This is a ${editingType} question; edit it in its question pack file instead`);
+        }
+        if (question.id && question.id !== editingId && gameQuestions.some(q => q.id === question.id)) {
+            errors.push(`ID ${question.id} is already used by another question`);
+        }
+        return errors;
+    }
+
+    function showErrors() {
+        const errors = getFormErrors(readForm());
+        errorsList.innerHTML = '';
+        errors.forEach(message => {
+            const li = document.createElement('li');
+            li.textContent = message;
+            errorsList.appendChild(li);
+        });
+        return errors;
+    }
+
+    function fillForm(question) {
+        idInput.value = question.id || '';
+        questionInput.value = question.question || '';
+        editingType = getQuestionType(question);
+        editingMedia = question.media || null;
+        editingReferences = hasBackfilledReferences(question) ? null : question.references || null;
+        optionInputs.forEach((input, i) => { input.value = getQuestionOptions(question)[i] || ''; });
+        categoryInput.value = question.category || '';
+        difficultySelect.value = question.difficulty || 'medium';
+        tagsInput.value = hasBackfilledTags(question) ? '' : (question.tags || []).join(', ');
+        explanationInput.value = question.explanation || '';
+        optionExplanationInputs.forEach((input, i) => {
+            const option = getQuestionOptions(question)[i];
+            input.value = (option && question.optionExplanations && question.optionExplanations[option]) || '';
+        });
+        refreshAnswerOptions(question.answer);
+        showErrors();
+    }
+
+    function renderList() {
+        const term = searchInput.value.trim().toLowerCase();
+        const localIds = new Set(getQuestionEditorData().questions.map(q => q.id));
+        const matches = gameQuestions.filter(q => !term ||
+            q.id.toLowerCase().includes(term) ||
+            q.question.toLowerCase().includes(term) ||
+            q.category.toLowerCase().includes(term));
+        countText.textContent = `${matches.length} of ${gameQuestions.length} questions`;
+        list.innerHTML = '';
+        matches.forEach(q => {
+            const li = document.createElement('li');
+            li.className = 'editor-list-item';
+            if (q.id === editingId) li.classList.add('selected');
+            if (localIds.has(q.id)) li.classList.add('edited');
+            li.textContent = `${q.id} — ${q.question}`;
+            li.tabIndex = 0;
+            li.onclick = () => {
+                editingId = q.id;
+                fillForm(q);
+                renderList();
+            };
+            list.appendChild(li);
+        });
+
+        categoryList.innerHTML = Array.from(new Set(gameQuestions.map(q => q.category)))
+            .map(cat => `<option value="${cat}"></option>`).join('');
+    }
+
+    function startNewQuestion(template = {}) {
+        editingId = null;
+        const category = template.category || categoryInput.value.trim();
+        fillForm(Object.assign({}, template, { id: suggestQuestionId(category), category }));
+        renderList();
+        questionInput.focus();
+    }
+
+    function refreshGameCategories() {
+        if (window.refreshQuestionFilters) window.refreshQuestionFilters();
+    }
+
+    categoryInput.addEventListener('change', () => {
+        if (editingId === null) idInput.value = suggestQuestionId(categoryInput.value.trim());
+        showErrors();
+    });
+
+    editorForm.addEventListener('input', e => {
+        if (optionInputs.includes(e.target)) refreshAnswerOptions();
+        showErrors();
+    });
+
+    editorForm.onsubmit = e => {
+        e.preventDefault();
+        // The pool holds translated text in other languages, which must not end up in the edits
+        if (currentLanguage !== DEFAULT_LANGUAGE) {
+            alert('Switch the language to English before saving questions.');
+            return;
+        }
+        const question = readForm();
+        if (showErrors().length > 0) return;
+
+        const data = getQuestionEditorData();
+        // A renamed question replaces the one it was loaded from
+        if (editingId && editingId !== question.id) {
+            data.questions = data.questions.filter(q => q.id !== editingId);
+            data.deletedIds.push(editingId);
+            removeQuestionFromPool(gameQuestions, editingId);
+        }
+        data.questions = data.questions.filter(q => q.id !== question.id).concat(question);
+        data.deletedIds = data.deletedIds.filter(id => id !== question.id);
+        saveQuestionEditorData(data);
+        mergeQuestionsIntoPool(gameQuestions, [question]);
+
+        editingId = question.id;
+        renderList();
+        refreshGameCategories();
+    };
+
+    document.getElementById('editor-new').onclick = () => startNewQuestion();
+    document.getElementById('editor-duplicate').onclick = () => startNewQuestion(readForm());
+
+    document.getElementById('editor-delete').onclick = () => {
+        if (!editingId || !confirm(`Delete question ${editingId}?`)) return;
+        const data = getQuestionEditorData();
+        data.questions = data.questions.filter(q => q.id !== editingId);
+        if (!data.deletedIds.includes(editingId)) data.deletedIds.push(editingId);
+        saveQuestionEditorData(data);
+        removeQuestionFromPool(gameQuestions, editingId);
+        startNewQuestion();
+        refreshGameCategories();
+    };
+
+    document.getElementById('editor-export').onclick = () => {
+        const pack = buildLocalQuestionPack();
+        if (pack.questions.length === 0) {
+            alert('There are no saved questions to export yet.');
+            return;
+        }
+        downloadJson(pack, `${pack.id}-${pack.version}.json`);
+    };
+
+    searchInput.addEventListener('input', renderList);
+
+    editorBtn.onclick = () => {
+        slideOut(container, () => {
+            slideIn(editorScreen);
+            if (editingId === null) startNewQuestion();
+            else renderList();
+        });
+    };
+
+    document.getElementById('editor-back').onclick = () => {
+        slideOut(editorScreen, () => slideIn(container));
+    };
+});
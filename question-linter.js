@@ -0,0 +1,346 @@
+// question-linter.js
+// Command-line linter for the question bank (questions.js), the fun facts (fun-facts.js) and
+// the question packs in packs/
+//
+// Usage:
+//   node question-linter.js [--json] [--strict] [--no-packs] [extra-pack.json ...]
+//
+//   --json      Print a machine-readable report instead of text
+//   --strict    Exit with a non-zero code on warnings as well as errors
+//   --no-packs  Only lint questions.js, not the packs listed in packs/manifest.json
+//
+// Exits with code 1 when any error is found (or any warning with --strict), so it can be
+// run by pack contributors before sending in new questions.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  gameQuestions,
+  getQuestionValidationErrors,
+  QUESTION_TAGS,
+  CATEGORY_ID_PREFIXES
+} = require('./questions.js');
+const {
+  getQuestionPackErrors,
+  getTranslatedQuestion,
+  TRANSLATION_PACK_TYPE,
+  TRANSLATABLE_QUESTION_FIELDS,
+  QUESTION_PACK_MANIFEST
+} = require('./question-packs.js');
+const { FUN_FACTS, getFunFactErrors } = require('./fun-facts.js');
+
+// Two questions whose word sets overlap at least this much are reported as near-duplicates
+const NEAR_DUPLICATE_THRESHOLD = 0.8;
+// With four options the answer is the longest about a quarter of the time by chance
+const LONGEST_ANSWER_WARN_RATIO = 0.4;
+const LONGEST_ANSWER_MIN_QUESTIONS = 8;
+
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function wordSet(text) {
+  return new Set(normalizeText(text).split(' ').filter(word => word.length > 2));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Reads the packs listed in the manifest plus any extra pack files given on the command line.
+ * @returns {{sources: Object[], translations: Object[], issues: Object[]}} - Question sources,
+ *   translation packs and pack-level problems
+ */
+function loadPackSources(extraFiles, includeManifest) {
+  const sources = [];
+  const translations = [];
+  const issues = [];
+  const packFiles = [];
+
+  if (includeManifest) {
+    const manifestPath = path.join(__dirname, QUESTION_PACK_MANIFEST);
+    if (fs.existsSync(manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      (manifest.packs || []).forEach(entry => {
+        packFiles.push({ file: path.join(path.dirname(manifestPath), entry.file), entry });
+      });
+    }
+  }
+  extraFiles.forEach(file => packFiles.push({ file: path.resolve(file), entry: null }));
+
+  packFiles.forEach(({ file, entry }) => {
+    const name = path.relative(process.cwd(), file);
+    let pack;
+    try {
+      pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      issues.push({ severity: 'error', rule: 'pack-unreadable', source: name, message: error.message });
+      return;
+    }
+    const packErrors = getQuestionPackErrors(pack, entry);
+    packErrors.forEach(message => issues.push({ severity: 'error', rule: 'pack-invalid', source: name, message }));
+    if (pack.type === TRANSLATION_PACK_TYPE) {
+      if (pack.translations && typeof pack.translations === 'object') translations.push({ name, pack });
+    } else if (Array.isArray(pack.questions)) {
+      sources.push({ name, questions: pack.questions, categories: pack.categories || [], facts: pack.facts });
+    }
+  });
+  return { sources, translations, issues };
+}
+
+/**
+ * Checks translation packs against the questions they translate. A translation that fails
+ * here is skipped in the game and the question is played in English.
+ * @param {Object[]} translations - [{ name, pack }] from loadPackSources
+ * @param {Object[]} sources - The question sources, in merge order
+ * @returns {Object[]} - The issues found
+ */
+function lintTranslations(translations, sources) {
+  const byId = new Map();
+  sources.forEach(source => source.questions.forEach(question => {
+    if (question && question.id) byId.set(question.id, question);
+  }));
+  const issues = [];
+  translations.forEach(({ name, pack }) => {
+    Object.keys(pack.translations).forEach(id => {
+      const report = (rule, message) => issues.push({ severity: 'error', rule, id, source: name, message });
+      const question = byId.get(id);
+      const translation = pack.translations[id];
+      if (!question) {
+        report('translation-unknown-id', 'No question with this id');
+        return;
+      }
+      if (!translation || typeof translation !== 'object') {
+        report('translation-invalid', 'Translation is not an object');
+        return;
+      }
+      Object.keys(translation)
+        .filter(field => !TRANSLATABLE_QUESTION_FIELDS.includes(field))
+        .forEach(field => report('translation-invalid', `"${field}" cannot be translated`));
+      getQuestionValidationErrors(getTranslatedQuestion(question, translation))
+        .forEach(message => report('translation-invalid', message));
+    });
+  });
+  return issues;
+}
+
+/**
+ * Checks the fun facts of fun-facts.js and the packs. Pack facts may only use the pack's categories.
+ * @param {Object[]} sources - [{ name, facts, categories? }]
+ * @returns {Object[]} - The issues found
+ */
+function lintFunFacts(sources) {
+  const issues = [];
+  sources.forEach(source => {
+    if (!Array.isArray(source.facts)) return;
+    const ids = new Set();
+    source.facts.forEach(fact => {
+      const report = (severity, rule, message) => issues.push({ severity, rule, id: fact && fact.id, source: source.name, message });
+      getFunFactErrors(fact).forEach(message => report('error', 'invalid-fact', message));
+      if (!fact || typeof fact !== 'object') return;
+      if (ids.has(fact.id)) report('error', 'duplicate-id', `Fact ID ${fact.id} is used more than once`);
+      ids.add(fact.id);
+      (Array.isArray(fact.categories) ? fact.categories : []).forEach(category => {
+        if (source.categories && source.categories.length && !source.categories.includes(category)) {
+          report('error', 'undeclared-category', `Category "${category}" is not declared by the pack`);
+        } else if (!CATEGORY_ID_PREFIXES[category]) {
+          report('warning', 'unknown-category', `Category "${category}" is not a known category`);
+        }
+      });
+      (Array.isArray(fact.tags) ? fact.tags : []).filter(tag => !QUESTION_TAGS.includes(tag)).forEach(tag => {
+        report('warning', 'unknown-tag', `Tag "${tag}" is not in QUESTION_TAGS (typo?)`);
+      });
+    });
+  });
+  return issues;
+}
+
+/**
+ * Runs every check over the given question sources.
+ * @param {Object[]} sources - [{ name, questions, categories? }]
+ * @returns {Object} - The report: { summary, issues, answerLengthBias }
+ */
+function lintQuestions(sources) {
+  const issues = [];
+  const report = (severity, rule, question, source, message) => {
+    issues.push({ severity, rule, id: question && question.id, source, message });
+  };
+
+  const all = [];
+  sources.forEach(source => {
+    const idsInSource = new Set();
+    source.questions.forEach(question => {
+      all.push({ question, source: source.name });
+
+      getQuestionValidationErrors(question).forEach(message => report('error', 'invalid', question, source.name, message));
+      if (!question || typeof question !== 'object') return;
+
+      // Duplicate ids within one source; across sources a later pack intentionally replaces the question
+      if (idsInSource.has(question.id)) {
+        report('error', 'duplicate-id', question, source.name, `ID ${question.id} is used more than once`);
+      }
+      idsInSource.add(question.id);
+
+      if (source.categories && source.categories.length && !source.categories.includes(question.category)) {
+        report('error', 'undeclared-category', question, source.name, `Category "${question.category}" is not declared by the pack`);
+      }
+
+      const prefix = CATEGORY_ID_PREFIXES[question.category];
+      if (!question.category) {
+        // Already reported as invalid
+      } else if (!prefix) {
+        report('warning', 'unknown-category', question, source.name, `Category "${question.category}" has no ID prefix`);
+      } else if (typeof question.id === 'string' && !new RegExp(`^${prefix}\\d{3,}$`).test(question.id)) {
+        report('error', 'id-prefix', question, source.name, `ID should look like ${prefix}001 for category "${question.category}"`);
+      }
+
+      if (Array.isArray(question.options)) {
+        const seen = new Set();
+        question.options.forEach(option => {
+          const key = normalizeText(option);
+          if (seen.has(key)) report('error', 'repeated-option', question, source.name, `Option "${option}" is repeated`);
+          seen.add(key);
+        });
+      }
+
+      if (Array.isArray(question.tags)) {
+        question.tags.filter(tag => !QUESTION_TAGS.includes(tag)).forEach(tag => {
+          report('warning', 'unknown-tag', question, source.name, `Tag "${tag}" is not in QUESTION_TAGS (typo?)`);
+        });
+      }
+
+      // Media files are looked up relative to the site root (this directory)
+      const media = question.media;
+      if (media && typeof media.src === 'string' && !/^https?:\/\//.test(media.src) &&
+          !fs.existsSync(path.join(__dirname, media.src))) {
+        report('error', 'missing-media', question, source.name, `Media file ${media.src} does not exist`);
+      }
+
+      if (!question.explanation || !String(question.explanation).trim()) {
+        report('warning', 'missing-explanation', question, source.name, 'Question has no explanation');
+      }
+    });
+  });
+
+  const idSources = new Map();
+  all.forEach(({ question, source }) => {
+    if (!question || !question.id) return;
+    const previous = idSources.get(question.id);
+    if (previous && previous !== source) {
+      report('warning', 'replaced-id', question, source, `Replaces ${question.id} from ${previous}`);
+    }
+    idSources.set(question.id, source);
+  });
+
+  // Duplicate and near-duplicate question text
+  const texts = all
+    .filter(({ question }) => question && typeof question.question === 'string')
+    .map(({ question, source }) => ({ question, source, normalized: normalizeText(question.question), words: wordSet(question.question) }));
+  for (let i = 0; i < texts.length; i++) {
+    for (let j = i + 1; j < texts.length; j++) {
+      const a = texts[i];
+      const b = texts[j];
+      if (a.question.id === b.question.id) continue;
+      if (a.normalized === b.normalized) {
+        report('error', 'duplicate-question', b.question, b.source, `Same question text as ${a.question.id}`);
+      } else {
+        const similarity = jaccard(a.words, b.words);
+        if (similarity >= NEAR_DUPLICATE_THRESHOLD) {
+          report('warning', 'near-duplicate-question', b.question, b.source,
+            `Question text is ${Math.round(similarity * 100)}% similar to ${a.question.id}`);
+        }
+      }
+    }
+  }
+
+  // Is the correct answer consistently the longest option?
+  const answerLengthBias = {};
+  all.forEach(({ question }) => {
+    if (!question || !Array.isArray(question.options) || !question.options.includes(question.answer)) return;
+    const longestOther = Math.max(...question.options.filter(o => o !== question.answer).map(o => String(o).length));
+    const stats = answerLengthBias[question.category] || (answerLengthBias[question.category] = { longest: 0, total: 0 });
+    stats.total++;
+    if (String(question.answer).length > longestOther) stats.longest++;
+  });
+  const totals = { longest: 0, total: 0 };
+  Object.keys(answerLengthBias).forEach(category => {
+    const stats = answerLengthBias[category];
+    stats.ratio = Math.round((stats.longest / stats.total) * 100) / 100;
+    totals.longest += stats.longest;
+    totals.total += stats.total;
+    if (stats.total >= LONGEST_ANSWER_MIN_QUESTIONS && stats.ratio >= LONGEST_ANSWER_WARN_RATIO) {
+      issues.push({
+        severity: 'warning',
+        rule: 'answer-length-bias',
+        id: null,
+        source: category,
+        message: `The correct answer is the longest option in ${stats.longest} of ${stats.total} ${category} questions (${Math.round(stats.ratio * 100)}%)`
+      });
+    }
+  });
+  answerLengthBias.All = {
+    longest: totals.longest,
+    total: totals.total,
+    ratio: totals.total ? Math.round((totals.longest / totals.total) * 100) / 100 : 0
+  };
+
+  return {
+    summary: {
+      questions: all.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    },
+    issues,
+    answerLengthBias
+  };
+}
+
+function printTextReport(result) {
+  const bySeverity = { error: 'ERROR', warning: 'WARN ' };
+  result.issues.forEach(issue => {
+    const where = issue.id ? `${issue.id} (${issue.source})` : issue.source;
+    console.log(`${bySeverity[issue.severity]} [${issue.rule}] ${where}: ${issue.message}`);
+  });
+  console.log('');
+  console.log('Correct answer is the longest option:');
+  Object.keys(result.answerLengthBias).forEach(category => {
+    const stats = result.answerLengthBias[category];
+    console.log(`  ${category}: ${stats.longest}/${stats.total} (${Math.round(stats.ratio * 100)}%)`);
+  });
+  console.log('');
+  console.log(`${result.summary.questions} questions checked: ${result.summary.errors} error(s), ${result.summary.warnings} warning(s)`);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter(arg => arg.startsWith('--')));
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  const packs = loadPackSources(files, !flags.has('--no-packs'));
+  const sources = [{ name: 'questions.js', questions: gameQuestions }].concat(packs.sources);
+  const result = lintQuestions(sources);
+  const packIssues = packs.issues.concat(lintTranslations(packs.translations, sources));
+  const factIssues = lintFunFacts([{ name: 'fun-facts.js', facts: FUN_FACTS }].concat(packs.sources));
+  result.issues = packIssues.concat(result.issues, factIssues);
+  result.summary.errors += packIssues.length + factIssues.filter(issue => issue.severity === 'error').length;
+  result.summary.warnings += factIssues.filter(issue => issue.severity === 'warning').length;
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printTextReport(result);
+  }
+
+  const failed = result.summary.errors > 0 || (flags.has('--strict') && result.summary.warnings > 0);
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = { lintQuestions, lintTranslations, lintFunFacts, loadPackSources };
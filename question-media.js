@@ -0,0 +1,87 @@
+/**
+ * question-media.js - SDA Trivia Challenge Question Images and Audio
+ *
+ * Questions may carry a media object (see questions.js): an image such as a sanctuary
+ * diagram, or an audio clip such as a hymn intro. Media for the questions of a game is
+ * preloaded through preloadAudioAssets when the game starts, the elements are kept in
+ * questionMediaCache for reuse, and the service worker caches the files under media/
+ * for offline play.
+ */
+
+// Extra seconds on the clock for audio questions, so the clip can be heard out
+const QUESTION_AUDIO_EXTRA_SECONDS = 10;
+
+// Preloaded media elements by src
+const questionMediaCache = new Map();
+
+/**
+ * Returns the (cached) element for a question's media, creating it on first use.
+ * @param {Object} question - The question
+ * @returns {HTMLImageElement|HTMLAudioElement|null} - The element, or null without media
+ */
+function getQuestionMediaElement(question) {
+    const media = question && question.media;
+    if (!media) return null;
+    if (questionMediaCache.has(media.src)) return questionMediaCache.get(media.src);
+
+    let element;
+    if (media.type === 'image') {
+        element = new Image();
+        element.alt = media.alt;
+        element.decoding = 'async';
+    } else {
+        element = new Audio();
+        element.preload = 'auto';
+        element.controls = true;
+    }
+    element.src = media.src;
+    questionMediaCache.set(media.src, element);
+    return element;
+}
+
+/**
+ * Preloads the media of the given questions.
+ * @param {Object[]} pool - The questions about to be played
+ * @param {Function} [onComplete] - Called once every media file has loaded (or failed)
+ */
+function preloadQuestionMedia(pool, onComplete = () => {}) {
+    const elements = Array.from(new Set(pool.map(getQuestionMediaElement).filter(Boolean)));
+    preloadAudioAssets(() => {}, onComplete, elements);
+}
+
+function getQuestionMediaExtraTime(question) {
+    return question && question.media && question.media.type === 'audio' ? QUESTION_AUDIO_EXTRA_SECONDS : 0;
+}
+
+/**
+ * Shows a question's image or audio clip in the media container, or hides the container.
+ * Background music pauses while a clip plays so the clip can be heard.
+ * @param {Object} question - The question being shown
+ * @param {HTMLElement} container - The media container above the question text
+ */
+function renderQuestionMedia(question, container) {
+    // Stop a clip left playing by the previous question
+    container.querySelectorAll('audio').forEach(audio => audio.pause());
+    container.innerHTML = '';
+    const element = getQuestionMediaElement(question);
+    if (!element) {
+        container.style.display = 'none';
+        return;
+    }
+
+    if (element instanceof HTMLAudioElement) {
+        element.currentTime = 0;
+        element.muted = isMuted;
+        element.onplay = pauseBgMusic;
+        element.onpause = playBgMusic;
+        element.setAttribute('aria-label', t('game.audioClip', 'Question audio clip'));
+    }
+    container.appendChild(element);
+    if (question.media.credit) {
+        const credit = document.createElement('p');
+        credit.className = 'question-media-credit';
+        credit.innerText = question.media.credit;
+        container.appendChild(credit);
+    }
+    container.style.display = 'block';
+}
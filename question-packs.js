@@ -0,0 +1,361 @@
+/**
+ * SDA Trivia Challenge - Question Packs
+ * =====================================
+ *
+ * Loads versioned question packs from the packs/ directory at startup and merges them
+ * into the gameQuestions pool that startGame draws from. New questions can be shipped
+ * by dropping a pack file next to the manifest without touching script.js or questions.js.
+ *
+ * MANIFEST (packs/manifest.json):
+ * ------------------------------
+ * {
+ *     "packs": [
+ *         { "id": "prophecy-extra", "version": "1.0.0", "language": "en",
+ *           "categories": ["Prophecy"], "file": "prophecy-extra.json" }
+ *     ]
+ * }
+ *
+ * PACK FILE (packs/<file>):
+ * ------------------------
+ * {
+ *     "id": "prophecy-extra",
+ *     "version": "1.0.0",
+ *     "language": "en",
+ *     "categories": ["Prophecy"],
+ *     "questions": [ { id, question, options, answer, category, difficulty, explanation } ],
+ *     "facts": [ { id, text, categories, tags, references } ]
+ * }
+ *
+ * "facts" is optional and adds fun facts, verses or tips for the fact boxes (see fun-facts.js);
+ * like questions, a fact may only use categories declared by its pack. A pack that only adds
+ * facts still needs "questions": [].
+ *
+ * Image and audio files referenced by a question's media.src go in the media/ directory.
+ *
+ * TRANSLATION PACKS:
+ * -----------------
+ * A pack with "type": "translation" (in the manifest entry and the file) translates existing
+ * questions instead of adding new ones. It has a "translations" object keyed by question ID
+ * in place of "categories" and "questions":
+ *
+ * {
+ *     "id": "es-translations",
+ *     "version": "1.0.0",
+ *     "language": "es",
+ *     "type": "translation",
+ *     "translations": { "BP001": { question, options, answer, acceptedAnswers, explanation, optionExplanations } }
+ * }
+ *
+ * Every field is optional; missing fields stay English. A translated answer must be one of the
+ * translated options. True/false answers stay "True"/"False". A translation that would make
+ * the question invalid is skipped, so the question is played in English. optionExplanations are
+ * keyed by the translated options; if they are left out, the English ones are moved over to the
+ * translated option in the same position.
+ *
+ * Every question goes through getQuestionValidationErrors (questions.js) and must use one
+ * of the categories declared by its pack. A pack question whose id already exists replaces
+ * the earlier question, so packs can also ship corrections to the built-in bank.
+ */
+
+const QUESTION_PACK_DIR = 'packs/';
+const QUESTION_PACK_MANIFEST = QUESTION_PACK_DIR + 'manifest.json';
+const DEFAULT_PACK_LANGUAGE = 'en';
+const TRANSLATION_PACK_TYPE = 'translation';
+const TRANSLATABLE_QUESTION_FIELDS = ['question', 'options', 'answer', 'acceptedAnswers', 'explanation', 'optionExplanations'];
+
+// Summary of every pack that was merged into the pool: { id, version, language, categories, added, replaced, facts }
+const loadedQuestionPacks = [];
+
+/**
+ * Checks the pack-level fields of a pack file against its manifest entry.
+ * @param {Object} pack - The parsed pack file
+ * @param {Object} entry - The manifest entry that pointed at the file
+ * @returns {string[]} - A list of problems (empty if the pack can be used)
+ */
+function getQuestionPackErrors(pack, entry) {
+    const errors = [];
+    if (!pack || typeof pack !== 'object') return ['Pack is not an object'];
+    ['id', 'version', 'language'].forEach(prop => {
+        if (typeof pack[prop] !== 'string' || !pack[prop].trim()) {
+            errors.push(`Missing or empty "${prop}"`);
+        }
+    });
+    if (pack.type === TRANSLATION_PACK_TYPE) {
+        if (!pack.translations || typeof pack.translations !== 'object' || Array.isArray(pack.translations)) {
+            errors.push('"translations" must be an object keyed by question id');
+        }
+    } else {
+        if (!Array.isArray(pack.categories) || pack.categories.length === 0) {
+            errors.push('"categories" must be a non-empty array');
+        }
+        if (!Array.isArray(pack.questions)) {
+            errors.push('"questions" must be an array');
+        }
+        if (pack.facts !== undefined && !Array.isArray(pack.facts)) {
+            errors.push('"facts" must be an array');
+        }
+    }
+    if (entry) {
+        if (entry.id !== pack.id) errors.push(`Manifest id "${entry.id}" does not match pack id "${pack.id}"`);
+        if (entry.version !== pack.version) errors.push(`Manifest version ${entry.version} does not match pack version ${pack.version}`);
+    }
+    return errors;
+}
+
+/**
+ * Returns the questions of a pack that pass validation, logging the ones that do not.
+ * @param {Object} pack - A pack that passed getQuestionPackErrors
+ * @returns {Object[]} - The valid questions
+ */
+function getValidPackQuestions(pack) {
+    const seenIds = new Set();
+    return pack.questions.filter(question => {
+        const errors = getQuestionValidationErrors(question);
+        if (question && question.category && !pack.categories.includes(question.category)) {
+            errors.push(`Category "${question.category}" is not declared by the pack`);
+        }
+        if (question && seenIds.has(question.id)) {
+            errors.push('Duplicate id within the pack');
+        }
+        if (errors.length > 0) {
+            console.warn(`Skipping question ${question && question.id} in pack ${pack.id}:`, errors.join('; '));
+            return false;
+        }
+        seenIds.add(question.id);
+        return true;
+    });
+}
+
+/**
+ * Returns the fun facts of a pack that pass validation, logging the ones that do not.
+ * @param {Object} pack - A pack that passed getQuestionPackErrors
+ * @returns {Object[]} - The valid facts (none if the pack has no "facts")
+ */
+function getValidPackFacts(pack) {
+    const seenIds = new Set();
+    return (pack.facts || []).filter(fact => {
+        const errors = getFunFactErrors(fact);
+        const undeclared = fact && Array.isArray(fact.categories)
+            ? fact.categories.filter(category => !pack.categories.includes(category)) : [];
+        undeclared.forEach(category => errors.push(`Category "${category}" is not declared by the pack`));
+        if (fact && seenIds.has(fact.id)) {
+            errors.push('Duplicate id within the pack');
+        }
+        if (errors.length > 0) {
+            console.warn(`Skipping fact ${fact && fact.id} in pack ${pack.id}:`, errors.join('; '));
+            return false;
+        }
+        seenIds.add(fact.id);
+        return true;
+    });
+}
+
+/**
+ * Merges questions into a pool in place. Questions with an id already in the pool replace it.
+ * @param {Object[]} pool - The pool to merge into (normally gameQuestions)
+ * @param {Object[]} incoming - The questions to merge
+ * @returns {{added: number, replaced: number}} - How many questions were added and replaced
+ */
+function mergeQuestionsIntoPool(pool, incoming) {
+    const indexById = new Map(pool.map((q, i) => [q.id, i]));
+    let added = 0;
+    let replaced = 0;
+    incoming.forEach(question => {
+        if (indexById.has(question.id)) {
+            pool[indexById.get(question.id)] = question;
+            replaced++;
+        } else {
+            indexById.set(question.id, pool.length);
+            pool.push(question);
+            added++;
+        }
+    });
+    return { added, replaced };
+}
+
+/**
+ * Removes every question that fails validation from the built-in bank.
+ * Questions whose answer is not among the options can never be answered correctly.
+ * The bank should not have any: question-linter.js reports them so they get fixed.
+ * @param {Object[]} pool - The pool to clean (normally gameQuestions)
+ * @returns {string[]} - The ids of the removed questions
+ */
+function removeInvalidQuestions(pool) {
+    const valid = pool.filter(validateQuestion);
+    const removed = pool.filter(q => !valid.includes(q)).map(q => q.id);
+    pool.splice(0, pool.length, ...valid);
+    return removed;
+}
+
+/**
+ * Returns a copy of a question with a translation applied, without validating it.
+ * @param {Object} question - The English question
+ * @param {Object} translation - The translated fields
+ * @returns {Object} - The translated question
+ */
+function getTranslatedQuestion(question, translation) {
+    const translated = Object.assign({}, question);
+    TRANSLATABLE_QUESTION_FIELDS.forEach(field => {
+        if (translation[field] !== undefined) translated[field] = translation[field];
+    });
+    if (question.optionExplanations && translation.optionExplanations === undefined &&
+        Array.isArray(question.options) && Array.isArray(translation.options)) {
+        translated.optionExplanations = {};
+        question.options.forEach((option, i) => {
+            if (question.optionExplanations[option] !== undefined && translation.options[i] !== undefined) {
+                translated.optionExplanations[translation.options[i]] = question.optionExplanations[option];
+            }
+        });
+    }
+    return translated;
+}
+
+/**
+ * Checks one entry of a translation pack against the question it translates.
+ * @param {Object} question - The English question, or undefined if the id is unknown
+ * @param {Object} translation - The translated fields
+ * @returns {string[]} - A list of problems (empty if the translation can be used)
+ */
+function getQuestionTranslationErrors(question, translation) {
+    if (!question) return ['No question with this id'];
+    if (!translation || typeof translation !== 'object') return ['Translation is not an object'];
+    const errors = Object.keys(translation)
+        .filter(field => !TRANSLATABLE_QUESTION_FIELDS.includes(field))
+        .map(field => `"${field}" cannot be translated`);
+    return errors.concat(getQuestionValidationErrors(getTranslatedQuestion(question, translation)));
+}
+
+/**
+ * Translates the questions of a pool in place. Questions without a valid translation stay English.
+ * @param {Object[]} pool - The pool to translate (normally gameQuestions)
+ * @param {Object} pack - A translation pack that passed getQuestionPackErrors
+ * @returns {number} - How many questions were translated
+ */
+function applyQuestionTranslations(pool, pack) {
+    const indexById = new Map(pool.map((q, i) => [q.id, i]));
+    let translated = 0;
+    Object.keys(pack.translations).forEach(id => {
+        const question = pool[indexById.get(id)];
+        const errors = getQuestionTranslationErrors(question, pack.translations[id]);
+        if (errors.length > 0) {
+            console.warn(`Skipping translation of ${id} in pack ${pack.id}:`, errors.join('; '));
+            return;
+        }
+        pool[indexById.get(id)] = getTranslatedQuestion(question, pack.translations[id]);
+        translated++;
+    });
+    return translated;
+}
+
+/**
+ * Fetches the manifest and returns its entries of one language and kind.
+ * @param {string} language - The pack language
+ * @param {boolean} translations - True for translation packs, false for question packs
+ * @returns {Promise<Object[]>} - The matching manifest entries
+ */
+function fetchQuestionPackEntries(language, translations) {
+    return fetch(QUESTION_PACK_MANIFEST)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(manifest => (manifest && Array.isArray(manifest.packs) ? manifest.packs : [])
+            .filter(entry => entry && entry.file &&
+                (entry.language || DEFAULT_PACK_LANGUAGE) === language &&
+                (entry.type === TRANSLATION_PACK_TYPE) === translations));
+}
+
+/**
+ * Fetches a single pack file and validates it.
+ * @param {Object} entry - The manifest entry
+ * @returns {Promise<Object|null>} - The pack, or null if it could not be used
+ */
+function fetchQuestionPack(entry) {
+    // The version in the query string keeps a stale cached copy from being reused after an update
+    const url = `${QUESTION_PACK_DIR}${entry.file}?v=${encodeURIComponent(entry.version)}`;
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(pack => {
+            const errors = getQuestionPackErrors(pack, entry);
+            if (errors.length > 0) {
+                console.warn(`Skipping question pack ${entry.id}:`, errors.join('; '));
+                return null;
+            }
+            return pack;
+        })
+        .catch(error => {
+            console.warn(`Could not load question pack ${entry.id} (${entry.file}):`, error);
+            return null;
+        });
+}
+
+/**
+ * Validates the built-in bank, then loads every pack in the manifest for the given language
+ * and merges its questions into gameQuestions. Never rejects: a missing manifest or a broken
+ * pack only means fewer questions.
+ * @param {string} [language] - Only packs in this language are loaded
+ * @returns {Promise<Object[]>} - Resolves with loadedQuestionPacks once merging is done
+ */
+function loadQuestionPacks(language = DEFAULT_PACK_LANGUAGE) {
+    const removed = removeInvalidQuestions(gameQuestions);
+    if (removed.length > 0) {
+        console.warn(`Removed ${removed.length} invalid question(s) from the built-in bank:`, removed.join(', '));
+    }
+
+    return fetchQuestionPackEntries(language, false)
+        .then(entries => Promise.all(entries.map(fetchQuestionPack)))
+        .then(packs => {
+            // Merge in manifest order so later packs win when ids collide
+            packs.filter(Boolean).forEach(pack => {
+                const { added, replaced } = mergeQuestionsIntoPool(gameQuestions, getValidPackQuestions(pack));
+                const facts = mergeFunFacts(funFacts, getValidPackFacts(pack));
+                loadedQuestionPacks.push({
+                    id: pack.id,
+                    version: pack.version,
+                    language: pack.language,
+                    categories: pack.categories,
+                    added,
+                    replaced,
+                    facts
+                });
+            });
+            return loadedQuestionPacks;
+        })
+        .catch(error => {
+            console.warn('Could not load question pack manifest:', error);
+            return loadedQuestionPacks;
+        });
+}
+
+/**
+ * Loads every translation pack for the given language and translates gameQuestions in place.
+ * Call it after loadQuestionPacks so pack questions are translated too. Never rejects.
+ * @param {string} language - The player's language
+ * @returns {Promise<number>} - Resolves with how many questions were translated
+ */
+function loadQuestionTranslations(language) {
+    if (language === DEFAULT_PACK_LANGUAGE) return Promise.resolve(0);
+    return fetchQuestionPackEntries(language, true)
+        .then(entries => Promise.all(entries.map(fetchQuestionPack)))
+        .then(packs => packs.filter(Boolean)
+            .reduce((total, pack) => total + applyQuestionTranslations(gameQuestions, pack), 0))
+        .catch(error => {
+            console.warn(`Could not load ${language} question translations:`, error);
+            return 0;
+        });
+}
+
+// The linter checks packs with the same rules the game applies when it loads them
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getQuestionPackErrors,
+        getTranslatedQuestion,
+        TRANSLATION_PACK_TYPE,
+        TRANSLATABLE_QUESTION_FIELDS,
+        QUESTION_PACK_DIR,
+        QUESTION_PACK_MANIFEST
+    };
+}
@@ -0,0 +1,246 @@
+/**
+ * SDA Trivia Challenge - Scripture and Spirit of Prophecy References
+ * ==================================================================
+ *
+ * Structured source references for questions, so they can be shown in a "Read the source"
+ * panel after answering and used to build quizzes such as "questions from Daniel" or
+ * "questions from The Desire of Ages".
+ *
+ * A question may carry a references array:
+ *   { type: 'bible', book: 'Daniel', chapter: 7, verseStart: 25, verseEnd: 25 }
+ *   { type: 'egw', book: 'GC', page: 49 }
+ * verseStart/verseEnd and page are optional. Questions without references get them
+ * backfilled by parsing the citations already written into their text and explanation.
+ */
+
+// The 66 books of the Bible with their testament; aliases map other spellings to the book name
+const BIBLE_BOOKS = [
+    ['Genesis', 'OT'], ['Exodus', 'OT'], ['Leviticus', 'OT'], ['Numbers', 'OT'], ['Deuteronomy', 'OT'],
+    ['Joshua', 'OT'], ['Judges', 'OT'], ['Ruth', 'OT'], ['1 Samuel', 'OT'], ['2 Samuel', 'OT'],
+    ['1 Kings', 'OT'], ['2 Kings', 'OT'], ['1 Chronicles', 'OT'], ['2 Chronicles', 'OT'], ['Ezra', 'OT'],
+    ['Nehemiah', 'OT'], ['Esther', 'OT'], ['Job', 'OT'], ['Psalms', 'OT'], ['Proverbs', 'OT'],
+    ['Ecclesiastes', 'OT'], ['Song of Solomon', 'OT'], ['Isaiah', 'OT'], ['Jeremiah', 'OT'], ['Lamentations', 'OT'],
+    ['Ezekiel', 'OT'], ['Daniel', 'OT'], ['Hosea', 'OT'], ['Joel', 'OT'], ['Amos', 'OT'],
+    ['Obadiah', 'OT'], ['Jonah', 'OT'], ['Micah', 'OT'], ['Nahum', 'OT'], ['Habakkuk', 'OT'],
+    ['Zephaniah', 'OT'], ['Haggai', 'OT'], ['Zechariah', 'OT'], ['Malachi', 'OT'],
+    ['Matthew', 'NT'], ['Mark', 'NT'], ['Luke', 'NT'], ['John', 'NT'], ['Acts', 'NT'],
+    ['Romans', 'NT'], ['1 Corinthians', 'NT'], ['2 Corinthians', 'NT'], ['Galatians', 'NT'], ['Ephesians', 'NT'],
+    ['Philippians', 'NT'], ['Colossians', 'NT'], ['1 Thessalonians', 'NT'], ['2 Thessalonians', 'NT'], ['1 Timothy', 'NT'],
+    ['2 Timothy', 'NT'], ['Titus', 'NT'], ['Philemon', 'NT'], ['Hebrews', 'NT'], ['James', 'NT'],
+    ['1 Peter', 'NT'], ['2 Peter', 'NT'], ['1 John', 'NT'], ['2 John', 'NT'], ['3 John', 'NT'],
+    ['Jude', 'NT'], ['Revelation', 'NT']
+].map(([name, testament]) => ({ name, testament }));
+
+const BIBLE_BOOK_ALIASES = {
+    'Psalm': 'Psalms',
+    'Song of Songs': 'Song of Solomon',
+    'Revelations': 'Revelation'
+};
+
+// Ellen G. White books by their standard abbreviation
+const EGW_BOOKS = {
+    'AA': 'The Acts of the Apostles',
+    'CD': 'Counsels on Diet and Foods',
+    'CH': 'Counsels on Health',
+    'COL': "Christ's Object Lessons",
+    'DA': 'The Desire of Ages',
+    'Ed': 'Education',
+    'Ev': 'Evangelism',
+    'EW': 'Early Writings',
+    'GC': 'The Great Controversy',
+    'LDE': 'Last Day Events',
+    'LS': 'Life Sketches of Ellen G. White',
+    'MH': 'The Ministry of Healing',
+    'PK': 'Prophets and Kings',
+    'PP': 'Patriarchs and Prophets',
+    'SC': 'Steps to Christ'
+};
+
+// Categories that are drawn from a single book
+const CATEGORY_SOURCE_BOOKS = {
+    'The Great Controversy': 'GC'
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest names first so "1 John" wins over "John"
+const BIBLE_REFERENCE_PATTERN = new RegExp(
+    '\\b(' + BIBLE_BOOKS.map(b => b.name).concat(Object.keys(BIBLE_BOOK_ALIASES))
+        .sort((a, b) => b.length - a.length).map(escapeRegExp).join('|') +
+    ')\\s+(\\d{1,3})(?::(\\d{1,3})(?:\\s*[-–]\\s*(\\d{1,3}))?)?\\b', 'g');
+const EGW_PAGE_PATTERN = new RegExp('\\b(' + Object.keys(EGW_BOOKS).join('|') + ')\\s+(\\d{1,4})\\b', 'g');
+// Titles are only matched in full, with or without a leading "The"
+const EGW_TITLE_PATTERN = new RegExp('\\b(' + Object.values(EGW_BOOKS)
+    .filter(title => title.split(' ').length > 1)
+    .map(title => escapeRegExp(title.replace(/^The /, ''))).join('|') + ')\\b', 'g');
+
+/**
+ * Looks up a Bible book by name or alias.
+ * @param {string} name - The book name as written
+ * @returns {{name: string, testament: string}|undefined} - The book
+ */
+function getBibleBook(name) {
+    const canonical = BIBLE_BOOK_ALIASES[name] || name;
+    return BIBLE_BOOKS.find(book => book.name === canonical);
+}
+
+/**
+ * Returns a stable key for a reference, used to de-duplicate and compare references.
+ * @param {Object} ref - A reference object
+ * @returns {string} - e.g. "bible:Daniel 7:25" or "egw:GC 49"
+ */
+function getReferenceKey(ref) {
+    return `${ref.type}:${formatReference(ref, true)}`;
+}
+
+/**
+ * Extracts Bible and Ellen G. White references written as free text.
+ * @param {string} text - e.g. "Revelation 4:4 (KJV) describes..." or "See GC 49."
+ * @returns {Object[]} - The references found, without duplicates
+ */
+function parseReferences(text) {
+    const refs = [];
+    if (!text) return refs;
+    let match;
+
+    BIBLE_REFERENCE_PATTERN.lastIndex = 0;
+    while ((match = BIBLE_REFERENCE_PATTERN.exec(text)) !== null) {
+        const ref = { type: 'bible', book: getBibleBook(match[1]).name, chapter: parseInt(match[2], 10) };
+        if (match[3]) {
+            ref.verseStart = parseInt(match[3], 10);
+            ref.verseEnd = match[4] ? parseInt(match[4], 10) : ref.verseStart;
+        }
+        refs.push(ref);
+    }
+
+    EGW_PAGE_PATTERN.lastIndex = 0;
+    while ((match = EGW_PAGE_PATTERN.exec(text)) !== null) {
+        refs.push({ type: 'egw', book: match[1], page: parseInt(match[2], 10) });
+    }
+
+    EGW_TITLE_PATTERN.lastIndex = 0;
+    while ((match = EGW_TITLE_PATTERN.exec(text)) !== null) {
+        const abbreviation = Object.keys(EGW_BOOKS).find(key => EGW_BOOKS[key].replace(/^The /, '') === match[1]);
+        // A page reference to the same book is more specific than the bare title
+        if (!refs.some(ref => ref.type === 'egw' && ref.book === abbreviation)) {
+            refs.push({ type: 'egw', book: abbreviation });
+        }
+    }
+
+    const seen = new Set();
+    return refs.filter(ref => {
+        const key = getReferenceKey(ref);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Formats a reference for display.
+ * @param {Object} ref - A reference object
+ * @param {boolean} [short] - Use the abbreviation only for Ellen G. White books
+ * @returns {string} - e.g. "Daniel 7:25-27" or "GC 49 (The Great Controversy)"
+ */
+function formatReference(ref, short = false) {
+    if (ref.type === 'bible') {
+        let text = `${ref.book} ${ref.chapter}`;
+        if (ref.verseStart) {
+            text += `:${ref.verseStart}`;
+            if (ref.verseEnd && ref.verseEnd !== ref.verseStart) text += `-${ref.verseEnd}`;
+        }
+        return text;
+    }
+    const page = ref.page ? ` ${ref.page}` : '';
+    if (short) return `${ref.book}${page}`;
+    return `${ref.book}${page} (${EGW_BOOKS[ref.book] || ref.book})`;
+}
+
+/**
+ * Returns a link where the reference can be read online.
+ * @param {Object} ref - A reference object
+ * @returns {string} - The URL
+ */
+function getReferenceUrl(ref) {
+    if (ref.type === 'bible') {
+        return `https://www.biblegateway.com/passage/?search=${encodeURIComponent(formatReference(ref))}&version=KJV`;
+    }
+    const query = ref.page ? `${ref.book} ${ref.page}` : (EGW_BOOKS[ref.book] || ref.book);
+    return `https://egwwritings.org/search?query=${encodeURIComponent(query)}`;
+}
+
+// Questions whose references were filled in by backfillQuestionReferences, not written by an author
+const BACKFILLED_REFERENCE_QUESTIONS = new WeakSet();
+
+/**
+ * Gives every question without a references array one parsed from its text and explanation.
+ * @param {Object[]} pool - The questions to update in place (normally gameQuestions)
+ */
+function backfillQuestionReferences(pool) {
+    pool.forEach(question => {
+        if (Array.isArray(question.references)) return;
+        const refs = parseReferences(`${question.question} ${question.explanation || ''}`);
+        const categoryBook = CATEGORY_SOURCE_BOOKS[question.category];
+        if (categoryBook && !refs.some(ref => ref.type === 'egw' && ref.book === categoryBook)) {
+            refs.push({ type: 'egw', book: categoryBook });
+        }
+        question.references = refs;
+        BACKFILLED_REFERENCE_QUESTIONS.add(question);
+    });
+}
+
+/**
+ * Whether a question's references were parsed by backfillQuestionReferences, so they should
+ * be parsed again after an edit rather than saved.
+ * @param {Object} question - The question
+ * @returns {boolean}
+ */
+function hasBackfilledReferences(question) {
+    return BACKFILLED_REFERENCE_QUESTIONS.has(question);
+}
+
+/**
+ * Returns the key used by the source filter for a reference: the Bible book or the
+ * Ellen G. White book it points to.
+ * @param {Object} ref - A reference object
+ * @returns {string} - e.g. "bible:Daniel" or "egw:DA"
+ */
+function getReferenceSourceKey(ref) {
+    return `${ref.type}:${ref.book}`;
+}
+
+/**
+ * Lists the sources referenced by a pool, with question counts, in canonical order
+ * (Bible books in Bible order, then Ellen G. White books by title).
+ * @param {Object[]} pool - The questions to scan
+ * @returns {{key: string, label: string, count: number}[]} - The available sources
+ */
+function getReferenceSources(pool) {
+    const counts = new Map();
+    pool.forEach(question => {
+        new Set((question.references || []).map(getReferenceSourceKey)).forEach(key => {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    });
+    const bible = BIBLE_BOOKS
+        .filter(book => counts.has(`bible:${book.name}`))
+        .map(book => ({ key: `bible:${book.name}`, label: book.name, count: counts.get(`bible:${book.name}`) }));
+    const egw = Object.keys(EGW_BOOKS)
+        .filter(abbreviation => counts.has(`egw:${abbreviation}`))
+        .map(abbreviation => ({ key: `egw:${abbreviation}`, label: EGW_BOOKS[abbreviation], count: counts.get(`egw:${abbreviation}`) }))
+        .sort((a, b) => a.label.replace(/^The /, '').localeCompare(b.label.replace(/^The /, '')));
+    return bible.concat(egw);
+}
+
+/**
+ * Checks whether a question cites a source.
+ * @param {Object} question - The question
+ * @param {string} sourceKey - A key from getReferenceSources, or 'All'
+ * @returns {boolean} - True if the question matches
+ */
+function questionMatchesSource(question, sourceKey) {
+    if (!sourceKey || sourceKey === 'All') return true;
+    return (question.references || []).some(ref => getReferenceSourceKey(ref) === sourceKey);
+}
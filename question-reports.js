@@ -0,0 +1,252 @@
+/**
+ * question-reports.js - SDA Trivia Challenge Question Reports
+ *
+ * Players can flag a question from the explanation panel ("Report this question") when the
+ * marked answer looks wrong, the wording has a typo or the explanation is disputed. Reports
+ * are kept in localStorage with the question ID, the question as it was shown and the game
+ * context. The Question Reports host screen lists them grouped by question and exports them
+ * as JSON so editors can fix the questions in questions.js or the pack they came from.
+ */
+
+const QUESTION_REPORTS_STORAGE_KEY = 'questionReports';
+
+// Reasons a player can pick, with their English labels
+const QUESTION_REPORT_REASONS = {
+    'wrong-answer': 'The marked answer is wrong',
+    'typo': 'Typo or unclear wording',
+    'disputed-explanation': 'I disagree with the explanation',
+    'other': 'Something else'
+};
+
+/**
+ * Reads the saved reports.
+ * @returns {Object[]} - Reports, oldest first
+ */
+function getQuestionReports() {
+    try {
+        const reports = JSON.parse(localStorage.getItem(QUESTION_REPORTS_STORAGE_KEY));
+        if (Array.isArray(reports)) return reports;
+    } catch (error) {
+        console.warn('Could not read question reports:', error);
+    }
+    return [];
+}
+
+function saveQuestionReports(reports) {
+    localStorage.setItem(QUESTION_REPORTS_STORAGE_KEY, JSON.stringify(reports));
+}
+
+/**
+ * Saves a player's report about a question.
+ * @param {Object} question - The question as it was shown
+ * @param {string} reason - A key of QUESTION_REPORT_REASONS
+ * @param {string} comment - The player's own words (may be empty)
+ * @param {Object} context - The game context: mode, difficulty, language, the player's
+ *   answer and whether it was graded correct
+ * @returns {Object} - The saved report
+ */
+function addQuestionReport(question, reason, comment, context) {
+    const report = {
+        id: question.id,
+        reason,
+        comment: comment.trim(),
+        question: question.question,
+        answer: formatCorrectAnswer(question),
+        category: question.category,
+        context,
+        reportedAt: new Date().toISOString()
+    };
+    const reports = getQuestionReports();
+    reports.push(report);
+    saveQuestionReports(reports);
+    return report;
+}
+
+/**
+ * Groups reports by question ID, most reported first.
+ * @param {Object[]} reports - Reports from getQuestionReports
+ * @returns {{id: string, question: string, category: string, reasons: Object, reports: Object[]}[]}
+ *   - One group per question; reasons counts the reports per reason
+ */
+function groupQuestionReports(reports) {
+    const groups = new Map();
+    reports.forEach(report => {
+        if (!groups.has(report.id)) {
+            groups.set(report.id, { id: report.id, question: report.question, category: report.category, reasons: {}, reports: [] });
+        }
+        const group = groups.get(report.id);
+        group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+        group.reports.push(report);
+        // Show the wording of the latest report, in case the question was edited since
+        group.question = report.question;
+    });
+    return Array.from(groups.values())
+        .sort((a, b) => b.reports.length - a.reports.length || a.id.localeCompare(b.id));
+}
+
+/**
+ * Removes every report about a question, once it has been fixed or dismissed.
+ * @param {string} id - The question ID
+ */
+function resolveQuestionReports(id) {
+    saveQuestionReports(getQuestionReports().filter(report => report.id !== id));
+}
+
+/**
+ * Builds the review queue export.
+ * @returns {Object} - The grouped reports with an export date
+ */
+function buildQuestionReportExport() {
+    return {
+        exportedAt: new Date().toISOString(),
+        questions: groupQuestionReports(getQuestionReports())
+    };
+}
+
+/**
+ * Shows the number of reported questions on the Question Reports host button.
+ */
+function renderQuestionReportsButton() {
+    const reportsBtn = document.getElementById('reports-btn');
+    if (!reportsBtn) return;
+    const count = groupQuestionReports(getQuestionReports()).length;
+    reportsBtn.innerText = count > 0 ? `Question Reports (${count})` : 'Question Reports';
+}
+
+/**
+ * Builds the "Report this question" action shown on the explanation panel. It opens a small
+ * form with a reason and optional details, and thanks the player once the report is saved.
+ * @param {Object} question - The question that was just answered
+ * @param {Object} context - Passed on to addQuestionReport
+ * @returns {HTMLElement} - The action element
+ */
+function createQuestionReportAction(question, context) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'question-report';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'question-report-toggle';
+    toggle.innerText = '🚩 ' + t('report.open', 'Report this question');
+
+    const form = document.createElement('form');
+    form.className = 'question-report-form';
+    form.style.display = 'none';
+    const reason = document.createElement('select');
+    reason.setAttribute('aria-label', t('report.reasonLabel', 'What is wrong with this question?'));
+    reason.innerHTML = Object.keys(QUESTION_REPORT_REASONS)
+        .map(key => `<option value="${key}">${t(`report.reason.${key}`, QUESTION_REPORT_REASONS[key])}</option>`).join('');
+    const comment = document.createElement('textarea');
+    comment.rows = 2;
+    comment.maxLength = 500;
+    comment.placeholder = t('report.commentPlaceholder', 'Details (optional), e.g. the verse that says otherwise');
+    const send = document.createElement('button');
+    send.type = 'submit';
+    send.className = 'comic-button';
+    send.innerText = t('report.send', 'Send Report');
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'comic-button';
+    cancel.innerText = t('report.cancel', 'Cancel');
+    form.append(reason, comment, send, cancel);
+
+    toggle.onclick = () => {
+        toggle.style.display = 'none';
+        form.style.display = 'flex';
+        reason.focus();
+    };
+    cancel.onclick = () => {
+        form.style.display = 'none';
+        toggle.style.display = '';
+    };
+    form.onsubmit = e => {
+        e.preventDefault();
+        addQuestionReport(question, reason.value, comment.value, context);
+        renderQuestionReportsButton();
+        wrapper.innerHTML = '';
+        const thanks = document.createElement('p');
+        thanks.className = 'question-report-thanks';
+        thanks.innerText = t('report.thanks', 'Thanks! This question has been flagged for review.');
+        wrapper.appendChild(thanks);
+    };
+
+    wrapper.append(toggle, form);
+    return wrapper;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const reportsScreen = document.getElementById('reports-screen');
+    const reportsBtn = document.getElementById('reports-btn');
+    const reportsList = document.getElementById('reports-list');
+    const reportsCount = document.getElementById('reports-count');
+    if (!reportsScreen || !reportsBtn) return;
+
+    function renderReports() {
+        const groups = groupQuestionReports(getQuestionReports());
+        const total = groups.reduce((sum, group) => sum + group.reports.length, 0);
+        reportsCount.textContent = `${total} report(s) on ${groups.length} question(s)`;
+        reportsList.innerHTML = '';
+        groups.forEach(group => {
+            const li = document.createElement('li');
+            li.className = 'reports-item';
+
+            const heading = document.createElement('h3');
+            heading.textContent = `${group.id} — ${group.reports.length} report(s)`;
+            const text = document.createElement('p');
+            text.className = 'reports-question';
+            text.textContent = `${group.question} (${group.category})`;
+            const reasons = document.createElement('p');
+            reasons.className = 'reports-reasons';
+            reasons.textContent = Object.keys(group.reasons)
+                .map(key => `${QUESTION_REPORT_REASONS[key] || key}: ${group.reasons[key]}`).join(' · ');
+
+            const details = document.createElement('ul');
+            details.className = 'reports-details';
+            group.reports.forEach(report => {
+                const item = document.createElement('li');
+                const context = report.context || {};
+                const date = new Date(report.reportedAt).toLocaleDateString();
+                const answered = context.response ? ` · answered "${context.response}"${context.correct ? ' (graded correct)' : ''}` : '';
+                item.textContent = `${date} · ${QUESTION_REPORT_REASONS[report.reason] || report.reason}` +
+                    `${report.comment ? ` · "${report.comment}"` : ''}${answered} · ${context.mode || 'unknown'} mode`;
+                details.appendChild(item);
+            });
+
+            const resolve = document.createElement('button');
+            resolve.className = 'comic-button';
+            resolve.textContent = 'Mark Resolved';
+            resolve.onclick = () => {
+                if (!confirm(`Remove all ${group.reports.length} report(s) about ${group.id}?`)) return;
+                resolveQuestionReports(group.id);
+                renderReports();
+                renderQuestionReportsButton();
+            };
+
+            li.append(heading, text, reasons, details, resolve);
+            reportsList.appendChild(li);
+        });
+    }
+
+    reportsBtn.onclick = () => {
+        slideOut(container, () => {
+            slideIn(reportsScreen);
+            renderReports();
+        });
+    };
+
+    document.getElementById('reports-export').onclick = () => {
+        const data = buildQuestionReportExport();
+        if (data.questions.length === 0) {
+            alert('There are no question reports to export.');
+            return;
+        }
+        downloadJson(data, `question-reports-${data.exportedAt.slice(0, 10)}.json`);
+    };
+
+    document.getElementById('reports-back').onclick = () => {
+        renderQuestionReportsButton();
+        slideOut(reportsScreen, () => slideIn(container));
+    };
+
+    renderQuestionReportsButton();
+});
@@ -0,0 +1,204 @@
+/**
+ * question-stats.js - SDA Trivia Challenge Question Statistics
+ *
+ * Keeps answer statistics per question ID on this device: how often it was answered
+ * correctly, how long answers took, which wrong options were picked and how often the hint
+ * or Take Away Two was used. From these it proposes a difficulty for every question with
+ * enough answers and flags the ones whose labelled difficulty the data contradicts. The
+ * Question Stats host screen shows the report, exports it and can apply the proposed
+ * difficulties as local question edits (see question-editor.js).
+ */
+
+const QUESTION_STATS_STORAGE_KEY = 'questionStats';
+// Answers needed before a difficulty is proposed
+const QUESTION_STATS_MIN_ANSWERS = 8;
+// Lowest success score for each difficulty; a correct answer after a hint counts for half
+const QUESTION_STATS_EASY_SCORE = 0.75;
+const QUESTION_STATS_MEDIUM_SCORE = 0.45;
+// Easy questions should not need most of the clock
+const QUESTION_STATS_EASY_MAX_TIME_RATIO = 0.5;
+
+function getQuestionStats() {
+    try {
+        const stats = JSON.parse(localStorage.getItem(QUESTION_STATS_STORAGE_KEY));
+        if (stats && typeof stats === 'object') return stats;
+    } catch (error) {
+        console.warn('Could not read question stats:', error);
+    }
+    return {};
+}
+
+function saveQuestionStats(stats) {
+    localStorage.setItem(QUESTION_STATS_STORAGE_KEY, JSON.stringify(stats));
+}
+
+/**
+ * Adds one answer to a question's statistics.
+ * @param {Object} question - The question that was answered
+ * @param {Object} result - What happened
+ * @param {boolean} result.correct - Whether the answer was graded correct
+ * @param {string|string[]|null} result.response - The player's response (null when time ran out)
+ * @param {number} result.seconds - Seconds taken to answer
+ * @param {number} result.timeLimit - Seconds that were on the clock
+ * @param {boolean} result.hint - Whether the hint was used
+ * @param {boolean} result.takeaway - Whether Take Away Two was used
+ */
+function recordQuestionStat(question, result) {
+    const stats = getQuestionStats();
+    const stat = stats[question.id] || {
+        answered: 0, correct: 0, correctWithHelp: 0, timedOut: 0,
+        totalSeconds: 0, totalTimeRatio: 0, hints: 0, takeaways: 0, wrongPicks: {}
+    };
+    const helped = result.hint || result.takeaway;
+    stat.answered++;
+    if (result.correct) stat.correct++;
+    if (result.correct && helped) stat.correctWithHelp++;
+    if (result.response === null) stat.timedOut++;
+    stat.totalSeconds += result.seconds;
+    stat.totalTimeRatio += Math.min(1, result.seconds / result.timeLimit);
+    if (result.hint) stat.hints++;
+    if (result.takeaway) stat.takeaways++;
+
+    // Which wrong options were picked (choice and choose-all-that-apply questions)
+    if (!result.correct && result.response !== null) {
+        const type = getQuestionType(question);
+        const picks = type === 'multi-select' ? result.response : isChoiceQuestion(question) ? [result.response] : [];
+        picks.filter(option => !isCorrectOption(question, option)).forEach(option => {
+            stat.wrongPicks[option] = (stat.wrongPicks[option] || 0) + 1;
+        });
+    }
+    stats[question.id] = stat;
+    saveQuestionStats(stats);
+}
+
+/**
+ * Proposes a difficulty from a question's statistics.
+ * @param {Object} stat - The question's entry in getQuestionStats
+ * @returns {string|null} - easy, medium or hard, or null with too few answers
+ */
+function proposeQuestionDifficulty(stat) {
+    if (!stat || stat.answered < QUESTION_STATS_MIN_ANSWERS) return null;
+    const score = (stat.correct - stat.correctWithHelp / 2) / stat.answered;
+    if (score < QUESTION_STATS_MEDIUM_SCORE) return 'hard';
+    if (score < QUESTION_STATS_EASY_SCORE) return 'medium';
+    return stat.totalTimeRatio / stat.answered > QUESTION_STATS_EASY_MAX_TIME_RATIO ? 'medium' : 'easy';
+}
+
+/**
+ * Builds the calibration report for a pool: the statistics of every question that has been
+ * answered, with the proposed difficulty and a flag when it contradicts the label.
+ * @param {Object[]} pool - The questions (normally gameQuestions)
+ * @returns {Object[]} - Report rows, flagged questions first, then by number of answers
+ */
+function getQuestionCalibration(pool) {
+    const stats = getQuestionStats();
+    const order = ['easy', 'medium', 'hard'];
+    return pool.filter(question => stats[question.id]).map(question => {
+        const stat = stats[question.id];
+        const proposed = proposeQuestionDifficulty(stat);
+        const topPick = Object.keys(stat.wrongPicks).sort((a, b) => stat.wrongPicks[b] - stat.wrongPicks[a])[0];
+        const shift = proposed ? order.indexOf(proposed) - order.indexOf(question.difficulty) : 0;
+        return {
+            id: question.id,
+            question: question.question,
+            difficulty: question.difficulty,
+            proposed,
+            // "harder" or "easier" than labelled, or null when the label fits (or data is short)
+            flag: shift > 0 ? 'harder' : shift < 0 ? 'easier' : null,
+            answered: stat.answered,
+            correctRate: Math.round((stat.correct / stat.answered) * 100) / 100,
+            averageSeconds: Math.round((stat.totalSeconds / stat.answered) * 10) / 10,
+            timedOut: stat.timedOut,
+            hintRate: Math.round((stat.hints / stat.answered) * 100) / 100,
+            takeawayRate: Math.round((stat.takeaways / stat.answered) * 100) / 100,
+            topDistractor: topPick ? { option: topPick, count: stat.wrongPicks[topPick] } : null
+        };
+    }).sort((a, b) => (b.flag !== null) - (a.flag !== null) || b.answered - a.answered);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const statsScreen = document.getElementById('stats-screen');
+    const statsBtn = document.getElementById('stats-btn');
+    const statsBody = document.getElementById('stats-table-body');
+    const statsSummary = document.getElementById('stats-summary');
+    const flaggedOnly = document.getElementById('stats-flagged-only');
+    if (!statsScreen || !statsBtn) return;
+
+    function renderStats() {
+        const rows = getQuestionCalibration(gameQuestions);
+        const flagged = rows.filter(row => row.flag);
+        statsSummary.textContent = `${rows.length} question(s) answered on this device, ` +
+            `${flagged.length} flagged (difficulty proposed after ${QUESTION_STATS_MIN_ANSWERS} answers)`;
+        statsBody.innerHTML = '';
+        (flaggedOnly.checked ? flagged : rows).forEach(row => {
+            const tr = document.createElement('tr');
+            if (row.flag) tr.className = `stats-flag-${row.flag}`;
+            const distractor = row.topDistractor ? `${row.topDistractor.option} (${row.topDistractor.count})` : '—';
+            [
+                row.id,
+                row.difficulty,
+                row.proposed || '—',
+                row.answered,
+                `${Math.round(row.correctRate * 100)}%`,
+                `${row.averageSeconds}s`,
+                `${Math.round(row.hintRate * 100)}%`,
+                distractor
+            ].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tr.title = row.question;
+            statsBody.appendChild(tr);
+        });
+    }
+
+    flaggedOnly.addEventListener('change', renderStats);
+
+    statsBtn.onclick = () => {
+        slideOut(container, () => {
+            slideIn(statsScreen);
+            renderStats();
+        });
+    };
+
+    document.getElementById('stats-export').onclick = () => {
+        const rows = getQuestionCalibration(gameQuestions);
+        if (rows.length === 0) {
+            alert('No questions have been answered on this device yet.');
+            return;
+        }
+        const exportedAt = new Date().toISOString();
+        downloadJson({ exportedAt, minAnswers: QUESTION_STATS_MIN_ANSWERS, questions: rows },
+            `question-stats-${exportedAt.slice(0, 10)}.json`);
+    };
+
+    // Saves the proposed difficulties as local edits, like the question editor does
+    document.getElementById('stats-apply').onclick = () => {
+        // The pool holds translated text in other languages, which must not end up in the edits
+        if (currentLanguage !== DEFAULT_LANGUAGE) {
+            alert('Switch the language to English before applying difficulties.');
+            return;
+        }
+        const flagged = getQuestionCalibration(gameQuestions).filter(row => row.flag);
+        if (flagged.length === 0) {
+            alert('No question has a proposed difficulty that differs from its label.');
+            return;
+        }
+        if (!confirm(`Change the difficulty of ${flagged.length} question(s) to the proposed one?`)) return;
+        const data = getQuestionEditorData();
+        // Statistics are kept per ID, so they belong to the one question with that ID
+        const proposedById = new Map(flagged.map(row => [row.id, row.proposed]));
+        const updated = gameQuestions.filter(q => proposedById.has(q.id))
+            .map(q => Object.assign({}, q, { difficulty: proposedById.get(q.id) }));
+        const ids = new Set(updated.map(q => q.id));
+        data.questions = data.questions.filter(q => !ids.has(q.id)).concat(updated);
+        saveQuestionEditorData(data);
+        mergeQuestionsIntoPool(gameQuestions, updated);
+        renderStats();
+    };
+
+    document.getElementById('stats-back').onclick = () => {
+        slideOut(statsScreen, () => slideIn(container));
+    };
+});
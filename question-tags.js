@@ -0,0 +1,113 @@
+/**
+ * SDA Trivia Challenge - Question Tags
+ * ====================================
+ *
+ * Tags are finer-grained topics than the seven categories ("Patriarchs", "1844",
+ * "Health Message", ...), used by the tag filter on the start screen to build
+ * lesson-aligned quizzes. A question may carry a tags array:
+ *   tags: ["Old Testament", "Patriarchs"]
+ * Known tags are listed in QUESTION_TAGS (questions.js). Questions without a tags array get
+ * tags backfilled from their text, ID prefix and Bible references (see question-references.js),
+ * the same way references are backfilled.
+ */
+
+const GOSPEL_BOOKS = ['Matthew', 'Mark', 'Luke', 'John'];
+
+// Word patterns looked for in the question, answer and explanation. Names are matched
+// case-sensitively so "Job" the man is not "a job".
+const QUESTION_TAG_PATTERNS = {
+    'Old Testament': /\b(Adam|Eve|Cain|Abel|Enoch|Methuselah|Noah|Abraham|Abram|Sarah|Isaac|Rebekah|Jacob|Esau|Moses|Aaron|Miriam|Joshua|Caleb|Gideon|Samson|Deborah|Ruth|Naomi|Boaz|Hannah|Samuel|Goliath|Solomon|Elijah|Elisha|Jezebel|Ahab|Hezekiah|Josiah|Isaiah|Jeremiah|Ezekiel|Daniel|Nebuchadnezzar|Belshazzar|Shadrach|Meshach|Abednego|Esther|Nehemiah|Ezra|Jonah|Pharaoh|Balaam|Rahab|Melchizedek|Old Testament|Prophets and Kings|Patriarchs and Prophets)\b/,
+    'New Testament': /\b(Jesus|Peter|Paul|John the Baptist|Mary Magdalene|Martha|Lazarus|Judas|Zacchaeus|Nicodemus|Pilate|Herod|Stephen|Barnabas|Timothy|Pentecost|apostles?|disciples?|New Testament|Desire of Ages|Acts of the Apostles)\b/,
+    'Gospels': /\b(parables?|disciples|John the Baptist|Nicodemus|Zacchaeus|Lazarus|Pilate|Sermon on the Mount|Bethlehem|Nazareth|Gethsemane|Desire of Ages)\b/,
+    'Patriarchs': /\b(Adam|Eve|Cain|Abel|Seth|Enoch|Methuselah|Noah|Abraham|Abram|Sarah|Isaac|Rebekah|Jacob|Esau|Joseph(?! Bates)|Melchizedek|patriarchs?|Patriarchs and Prophets)\b/,
+    'Sanctuary': /\b(sanctuary|tabernacle|Most Holy|Holy Place|high priest|Day of Atonement|mercy seat|ark of the covenant)\b/i,
+    'Sabbath': /\b(sabbath|seventh day|fourth commandment)\b/i,
+    'Second Coming': /\b(second coming|second advent|(return|coming) of (Christ|Jesus|the Lord)|Christ's (return|coming))\b/i,
+    'Reformation': /\b(Reformation|Reformers?|Luther|Wycliffe|Huss|Jerome of Prague|Zwingli|Tyndale|Waldenses|Calvin|Knox|Protestants?)\b/,
+    'Pioneers': /\b(William Miller|Millerites?|James White|Joseph Bates|Hiram Edson|J\. ?N\. Andrews|John Andrews|Uriah Smith|Loughborough|Haskell|Annie Smith|Rachel Oakes|pioneers?|Battle Creek|Review and Herald|Life Sketches)\b/,
+    '1844': /\b(1844|Great Disappointment|Millerites?|2300|investigative judgment|October 22)\b/i,
+    'Health Message': /\b(health|diet|temperance|vegetarian|Ministry of Healing|sanitarium|Kellogg)\b/i
+};
+
+// ID prefixes whose questions always get a tag
+const QUESTION_TAG_ID_PREFIXES = {
+    'DH': 'Health Message'
+};
+
+/**
+ * Works out tags for a question from its text, ID prefix and references.
+ * @param {Object} question - The question (references already backfilled)
+ * @returns {string[]} - The tags, in QUESTION_TAGS order
+ */
+function guessQuestionTags(question) {
+    const answer = Array.isArray(question.answer) ? question.answer.join(' ') : question.answer;
+    const text = `${question.question} ${answer || ''} ${question.explanation || ''}`;
+    const tags = new Set();
+    Object.keys(QUESTION_TAG_PATTERNS).forEach(tag => {
+        if (QUESTION_TAG_PATTERNS[tag].test(text)) tags.add(tag);
+    });
+    const prefix = String(question.id || '').replace(/\d+$/, '');
+    if (QUESTION_TAG_ID_PREFIXES[prefix]) tags.add(QUESTION_TAG_ID_PREFIXES[prefix]);
+    (question.references || []).filter(ref => ref.type === 'bible').forEach(ref => {
+        const book = getBibleBook(ref.book);
+        if (!book) return;
+        tags.add(book.testament === 'OT' ? 'Old Testament' : 'New Testament');
+        if (GOSPEL_BOOKS.includes(book.name)) tags.add('Gospels');
+        if (book.name === 'Genesis' && ref.chapter >= 12) tags.add('Patriarchs');
+    });
+    if (tags.has('Gospels')) tags.add('New Testament');
+    if (tags.has('Patriarchs')) tags.add('Old Testament');
+    return QUESTION_TAGS.filter(tag => tags.has(tag));
+}
+
+// Questions whose tags were guessed by backfillQuestionTags, not written by an author
+const BACKFILLED_TAG_QUESTIONS = new WeakSet();
+
+/**
+ * Gives every question without a tags array one guessed by guessQuestionTags.
+ * Run it after backfillQuestionReferences so Bible references can be used.
+ * @param {Object[]} pool - The questions to update in place (normally gameQuestions)
+ */
+function backfillQuestionTags(pool) {
+    pool.forEach(question => {
+        if (Array.isArray(question.tags)) return;
+        question.tags = guessQuestionTags(question);
+        BACKFILLED_TAG_QUESTIONS.add(question);
+    });
+}
+
+/**
+ * Whether a question's tags were guessed by backfillQuestionTags rather than written by an author.
+ * @param {Object} question - The question
+ * @returns {boolean}
+ */
+function hasBackfilledTags(question) {
+    return BACKFILLED_TAG_QUESTIONS.has(question);
+}
+
+/**
+ * Lists the tags used in a pool with question counts: known tags first in QUESTION_TAGS
+ * order, then any others alphabetically.
+ * @param {Object[]} pool - The questions to scan
+ * @returns {{tag: string, count: number}[]} - The available tags
+ */
+function getQuestionTagCounts(pool) {
+    const counts = new Map();
+    pool.forEach(question => {
+        new Set(question.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    const others = Array.from(counts.keys()).filter(tag => !QUESTION_TAGS.includes(tag)).sort();
+    return QUESTION_TAGS.filter(tag => counts.has(tag)).concat(others)
+        .map(tag => ({ tag, count: counts.get(tag) }));
+}
+
+/**
+ * Checks whether a question has a tag.
+ * @param {Object} question - The question
+ * @param {string} tag - A tag, or 'All'
+ * @returns {boolean} - True if the question matches
+ */
+function questionMatchesTag(question, tag) {
+    if (!tag || tag === 'All') return true;
+    return (question.tags || []).includes(tag);
+}
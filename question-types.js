@@ -0,0 +1,369 @@
+/**
+ * question-types.js - SDA Trivia Challenge Question Types
+ *
+ * Renderers and graders for every value of the question "type" field (QUESTION_TYPES in
+ * questions.js). Multiple-choice and true/false questions use the regular option buttons;
+ * choose-all-that-apply, put-in-order and typed short-answer questions render their own
+ * controls with a Submit button. Every renderer hands its response to the same selectAnswer
+ * handler, so scoring, wagers, streaks and explanations work the same for all types.
+ */
+
+// Seconds on the clock per type; types that take longer to answer get more time
+const QUESTION_TYPE_TIME_LIMITS = {
+    'multiple-choice': 20,
+    'true-false': 15,
+    'multi-select': 30,
+    'ordering': 40,
+    'short-answer': 30
+};
+
+/**
+ * Returns a question's type, defaulting to multiple-choice.
+ * @param {Object} question - The question
+ * @returns {string} - One of QUESTION_TYPES
+ */
+function getQuestionType(question) {
+    return (question && question.type) || 'multiple-choice';
+}
+
+/**
+ * Whether a question is answered by clicking a single option button.
+ * @param {Object} question - The question
+ * @returns {boolean} - True for multiple-choice and true/false questions
+ */
+function isChoiceQuestion(question) {
+    const type = getQuestionType(question);
+    return type === 'multiple-choice' || type === 'true-false';
+}
+
+/**
+ * Returns the options to show for a question; true/false and ordering questions may leave them out.
+ * @param {Object} question - The question
+ * @returns {string[]} - The options, in their stored order
+ */
+function getQuestionOptions(question) {
+    const type = getQuestionType(question);
+    if (type === 'true-false') return question.options || TRUE_FALSE_OPTIONS;
+    if (type === 'ordering') return question.options || question.answer;
+    return question.options || [];
+}
+
+/**
+ * Returns the text shown for an option. True/false options stay "True"/"False" in the data
+ * (translations included) and are shown in the player's language.
+ * @param {Object} question - The question
+ * @param {string} option - The option as stored
+ * @returns {string} - The label for its button
+ */
+function getOptionLabel(question, option) {
+    if (getQuestionType(question) !== 'true-false') return option;
+    if (option === 'True') return t('answer.true', 'True');
+    if (option === 'False') return t('answer.false', 'False');
+    return option;
+}
+
+function getQuestionTimeLimit(question) {
+    return QUESTION_TYPE_TIME_LIMITS[getQuestionType(question)] || QUESTION_TYPE_TIME_LIMITS['multiple-choice'];
+}
+
+/**
+ * Normalizes typed text for comparison: case, accents, punctuation, extra spaces and a
+ * leading "the" are ignored.
+ * @param {string} text - The text to normalize
+ * @returns {string} - The normalized text
+ */
+function normalizeAnswerText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^the /, '');
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - The number of single-character edits to turn a into b
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Checks a typed answer against an expected one, forgiving small misspellings such as
+ * "Nebuchadnezar" or "Melchisedek". Short answers must be exact so "Eve" is not "Eli".
+ * @param {string} input - What the player typed
+ * @param {string} expected - An accepted answer
+ * @returns {boolean} - True if close enough
+ */
+function isFuzzyMatch(input, expected) {
+    const a = normalizeAnswerText(input);
+    const b = normalizeAnswerText(expected);
+    if (!a || !b) return false;
+    if (a === b) return true;
+    const tolerance = b.length <= 4 ? 0 : b.length <= 7 ? 1 : b.length <= 12 ? 2 : 3;
+    return getEditDistance(a, b) <= tolerance;
+}
+
+/**
+ * Whether an option button holds (one of) the correct answers.
+ * @param {Object} question - The question
+ * @param {string} option - The option text
+ * @returns {boolean} - True if the option is correct
+ */
+function isCorrectOption(question, option) {
+    const type = getQuestionType(question);
+    if (type === 'multi-select') return question.answer.includes(option);
+    if (isChoiceQuestion(question)) return option === question.answer;
+    return false;
+}
+
+/**
+ * Returns the explanations (optionExplanations) of the wrong options a player picked.
+ * @param {Object} question - The question
+ * @param {string|string[]|null} response - The response, as passed to gradeAnswer
+ * @returns {{option: string, explanation: string}[]} - One entry per wrong pick that has an explanation
+ */
+function getPickedOptionExplanations(question, response) {
+    if (!question.optionExplanations || response === null || response === undefined) return [];
+    const type = getQuestionType(question);
+    if (type !== 'multi-select' && !isChoiceQuestion(question)) return [];
+    const picked = type === 'multi-select' ? response : [response];
+    return picked
+        .filter(option => !isCorrectOption(question, option) && question.optionExplanations[option])
+        .map(option => ({ option, explanation: question.optionExplanations[option] }));
+}
+
+/**
+ * Grades a response.
+ * @param {Object} question - The question
+ * @param {string|string[]|null} response - The picked option, the picked options, the
+ *   items in the player's order or the typed text, depending on the type
+ * @returns {boolean} - True if the response is correct
+ */
+function gradeAnswer(question, response) {
+    if (response === null || response === undefined) return false;
+    switch (getQuestionType(question)) {
+        case 'multi-select':
+            return response.length === question.answer.length &&
+                question.answer.every(answer => response.includes(answer));
+        case 'ordering':
+            return response.length === question.answer.length &&
+                question.answer.every((item, i) => response[i] === item);
+        case 'short-answer':
+            return [question.answer].concat(question.acceptedAnswers || [])
+                .some(answer => isFuzzyMatch(response, answer));
+        default:
+            return response === question.answer;
+    }
+}
+
+/**
+ * Formats the correct answer for display.
+ * @param {Object} question - The question
+ * @returns {string} - e.g. "Saul → David → Solomon"
+ */
+function formatCorrectAnswer(question) {
+    const type = getQuestionType(question);
+    if (type === 'ordering') return question.answer.join(' → ');
+    if (type === 'multi-select') return question.answer.join(', ');
+    return getOptionLabel(question, question.answer);
+}
+
+function createSubmitButton(onSubmit, isReady) {
+    const submit = document.createElement('button');
+    submit.className = 'submit-answer';
+    submit.innerText = t('answer.submit', 'Submit Answer');
+    submit.onclick = e => {
+        if (isReady()) onSubmit(e);
+    };
+    return submit;
+}
+
+/**
+ * Renders the answer controls for a choose-all-that-apply, put-in-order or short-answer
+ * question. The Submit button calls onSubmit with its click event.
+ * @param {Object} question - The question
+ * @param {HTMLElement} container - The options container to render into
+ * @param {Function} onSubmit - Click handler for the Submit button (selectAnswer)
+ */
+function renderAnswerInput(question, container, onSubmit) {
+    const type = getQuestionType(question);
+
+    if (type === 'multi-select') {
+        const hint = document.createElement('p');
+        hint.className = 'answer-instructions';
+        hint.innerText = t('answer.chooseAll', 'Choose all that apply');
+        container.appendChild(hint);
+        shuffle(getQuestionOptions(question).slice()).forEach(option => {
+            const btn = document.createElement('button');
+            btn.className = 'option-toggle';
+            btn.innerText = option;
+            btn.dataset.option = option;
+            btn.setAttribute('aria-pressed', 'false');
+            btn.onclick = () => {
+                const selected = btn.classList.toggle('selected');
+                btn.setAttribute('aria-pressed', String(selected));
+            };
+            container.appendChild(btn);
+        });
+        container.appendChild(createSubmitButton(onSubmit, () =>
+            container.querySelector('.option-toggle.selected') !== null));
+    } else if (type === 'ordering') {
+        const hint = document.createElement('p');
+        hint.className = 'answer-instructions';
+        hint.innerText = t('answer.putInOrder', 'Put these in the correct order (first at the top)');
+        container.appendChild(hint);
+        const list = document.createElement('ol');
+        list.className = 'ordering-list';
+        let items = shuffle(getQuestionOptions(question).slice());
+        // Never start with the answer already in place
+        for (let tries = 0; tries < 5 && gradeAnswer(question, items); tries++) items = shuffle(items);
+        if (gradeAnswer(question, items)) items.push(items.shift());
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.dataset.item = item;
+            const text = document.createElement('span');
+            text.innerText = item;
+            const up = document.createElement('button');
+            up.innerText = '▲';
+            up.setAttribute('aria-label', t('answer.moveUp', 'Move {item} up', { item }));
+            up.onclick = () => {
+                if (li.previousElementSibling) list.insertBefore(li, li.previousElementSibling);
+            };
+            const down = document.createElement('button');
+            down.innerText = '▼';
+            down.setAttribute('aria-label', t('answer.moveDown', 'Move {item} down', { item }));
+            down.onclick = () => {
+                if (li.nextElementSibling) list.insertBefore(li.nextElementSibling, li);
+            };
+            li.appendChild(text);
+            li.appendChild(up);
+            li.appendChild(down);
+            list.appendChild(li);
+        });
+        container.appendChild(list);
+        container.appendChild(createSubmitButton(onSubmit, () => true));
+    } else if (type === 'short-answer') {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'short-answer-input';
+        input.placeholder = t('answer.typeYourAnswer', 'Type your answer');
+        input.setAttribute('aria-label', t('answer.yourAnswer', 'Your answer'));
+        input.autocomplete = 'off';
+        const submit = createSubmitButton(onSubmit, () => input.value.trim() !== '');
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter') submit.click();
+        });
+        container.appendChild(input);
+        container.appendChild(submit);
+        setTimeout(() => input.focus(), 100);
+    }
+}
+
+/**
+ * Reads the player's response from the rendered controls.
+ * @param {Object} question - The question
+ * @param {HTMLElement} container - The options container
+ * @param {HTMLElement} target - The clicked button
+ * @returns {string|string[]} - The response, in the shape gradeAnswer expects
+ */
+function readAnswerResponse(question, container, target) {
+    switch (getQuestionType(question)) {
+        case 'multi-select':
+            return Array.from(container.querySelectorAll('.option-toggle.selected')).map(btn => btn.dataset.option);
+        case 'ordering':
+            return Array.from(container.querySelectorAll('.ordering-list li')).map(li => li.dataset.item);
+        case 'short-answer':
+            return container.querySelector('.short-answer-input').value;
+        default:
+            return target.dataset.option;
+    }
+}
+
+/**
+ * Marks the correct answer (and any wrong parts of the response) and locks the controls.
+ * @param {Object} question - The question
+ * @param {HTMLElement} container - The options container
+ * @param {string|string[]|null} response - The player's response, or null when time ran out
+ */
+function revealAnswer(question, container, response) {
+    const type = getQuestionType(question);
+
+    if (isChoiceQuestion(question)) {
+        Array.from(container.children).forEach(btn => {
+            if (isCorrectOption(question, btn.dataset.option)) btn.classList.add('correct', 'highlight-correct');
+        });
+    } else if (type === 'multi-select') {
+        container.querySelectorAll('.option-toggle').forEach(btn => {
+            const selected = btn.classList.contains('selected');
+            if (isCorrectOption(question, btn.dataset.option)) {
+                btn.classList.add('correct');
+                if (!selected) btn.classList.add('highlight-correct');
+            } else if (selected) {
+                btn.classList.add('incorrect');
+            }
+        });
+    } else if (type === 'ordering') {
+        container.querySelectorAll('.ordering-list li').forEach((li, i) => {
+            li.classList.add(li.dataset.item === question.answer[i] ? 'correct' : 'incorrect');
+        });
+    } else if (type === 'short-answer') {
+        const input = container.querySelector('.short-answer-input');
+        if (input) input.classList.add(gradeAnswer(question, response) ? 'correct' : 'incorrect');
+    }
+
+    if (!isChoiceQuestion(question) && !gradeAnswer(question, response)) {
+        const note = document.createElement('p');
+        note.className = 'correct-answer-note';
+        note.innerText = type === 'ordering'
+            ? t('answer.correctOrder', 'Correct order: {answer}', { answer: formatCorrectAnswer(question) })
+            : t('answer.correctAnswer', 'Correct answer: {answer}', { answer: formatCorrectAnswer(question) });
+        container.appendChild(note);
+    }
+    container.querySelectorAll('button, input').forEach(control => { control.disabled = true; });
+}
+
+/**
+ * Hint for questions without a single correct button: the first letters of a short
+ * answer, or the first item of an ordering question moved into place.
+ * @param {Object} question - The question
+ * @param {HTMLElement} container - The options container
+ */
+function showTypedAnswerHint(question, container) {
+    const type = getQuestionType(question);
+    if (type === 'short-answer') {
+        const input = container.querySelector('.short-answer-input');
+        if (!input) return;
+        input.placeholder = t('answer.startsWith', 'Starts with "{start}" ({length} letters)', {
+            start: question.answer.slice(0, 2),
+            length: question.answer.length
+        });
+        input.classList.add('hint-highlight');
+        setTimeout(() => input.classList.remove('hint-highlight'), 2000);
+        input.focus();
+    } else if (type === 'ordering') {
+        const list = container.querySelector('.ordering-list');
+        const first = Array.from(list.children).find(li => li.dataset.item === question.answer[0]);
+        if (!first) return;
+        list.insertBefore(first, list.firstElementChild);
+        first.classList.add('hint-highlight');
+        setTimeout(() => first.classList.remove('hint-highlight'), 2000);
+    }
+}
@@ -7,33 +7,224 @@
  * General SDA, Diet & Health, Last Day Events, Music, and The Great Controversy.
  *
  * Each question includes:
- * - id: Unique identifier with category prefix (e.g., BP001, GS001)
+ * - id: Identifier with category prefix (e.g., BP001, GS001). It must be unique across the
+ *   bank and the packs: a pack question with the same id replaces the bank's question
  * - question: The actual question text
+ * - type (optional): How the question is answered, one of QUESTION_TYPES (default multiple-choice)
  * - options: Array of possible answers (4 options)
  * - answer: The correct answer (must match one of the options exactly)
  * - category: The question category
  * - difficulty: Difficulty level (easy, medium, hard)
  * - explanation: Brief explanation of the correct answer
+ * - optionExplanations (optional): Why a wrong option is wrong, keyed by the option text, e.g.
+ *   { "Abraham": "Abraham was the father of Isaac, not of Esau." }. Shown, together with the
+ *   explanation, to a player who picked that option
+ * - references (optional): Structured Bible / Ellen G. White citations (see question-references.js)
+ * - tags (optional): Finer topics than the category, e.g. ["Old Testament", "Patriarchs"];
+ *   see QUESTION_TAGS. Questions without tags get them guessed (see question-tags.js)
+ * - media (optional): An image or audio clip shown above the question, e.g.
+ *   { type: "image", src: "media/sanctuary-plan.svg", alt: "Plan of the sanctuary" } or
+ *   { type: "audio", src: "media/hymn-intro.mp3", credit: "SDA Hymnal" }. Images need alt text.
+ *
+ * The options and answer depend on the type:
+ * - multiple-choice: options as above, answer is one of them
+ * - true-false: answer is "True" or "False", options may be left out
+ * - multi-select: answer is an array holding every correct option ("choose all that apply")
+ * - ordering: answer is the array of items in the correct order, options may be left out
+ * - short-answer: answer is the expected text, acceptedAnswers (optional) lists other
+ *   accepted spellings; answers are matched forgivingly (see question-types.js)
  *
  * The file also includes a validateQuestion function that ensures each question
  * has all required properties and that the correct answer is included in the options.
+ * Questions added after release should be shipped as JSON question packs in the
+ * packs/ directory instead of being appended here (see question-packs.js).
+ * Run `node question-linter.js` to check the bank and packs for problems.
  *
  * FUTURE IMPROVEMENTS:
  * -------------------
  * 1. Consider organizing questions into separate arrays by category for easier management
  * 2. Add more metadata like question author, source reference, or date added
  * 3. Implement a more robust ID system with auto-incrementing numbers
- * 4. Add tags for more specific filtering (e.g., "Old Testament", "New Testament", "Health")
+ * 4. Replace the guessed tags of the built-in questions with hand-checked ones
  * 5. Consider moving to a JSON format or database for larger question sets
  * 6. Add difficulty distribution tracking to ensure balanced question sets
  * 7. Implement question versioning to track changes over time
- * 8. Add a function to verify unique IDs across the entire question set
- * 9. Consider adding image or audio references for multimedia questions
+ * 8. Run question-linter.js (unique IDs, prefixes, duplicates, answer bias) automatically before release
+ * 9. Add more image and audio questions, especially for Music (see question-media.js)
  * 10. Add a function to export questions in different formats (CSV, JSON, etc.)
  */
 
 // questions.js // SDA Trivia Challenge Questions
 
+/**
+ * Allowed values for the difficulty property of a question.
+ */
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Allowed values for the type property of a question (see question-types.js).
+ */
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'ordering', 'short-answer'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+/**
+ * Allowed values for media.type (see question-media.js).
+ */
+const QUESTION_MEDIA_TYPES = ['image', 'audio'];
+
+/**
+ * Known values for the tags property of a question, in the order the tag filter lists them.
+ * Packs may use other tags; the linter warns about them in case of a typo.
+ */
+const QUESTION_TAGS = [
+    'Old Testament',
+    'New Testament',
+    'Gospels',
+    'Patriarchs',
+    'Sanctuary',
+    'Sabbath',
+    'Second Coming',
+    'Reformation',
+    'Pioneers',
+    '1844',
+    'Health Message'
+];
+
+/**
+ * ID prefix used by each category (e.g. BP001 for Bible People).
+ */
+const CATEGORY_ID_PREFIXES = {
+    'Bible People': 'BP',
+    'Diet & Health': 'DH',
+    'The Great Controversy': 'GC',
+    'General SDA': 'GS',
+    'Last Day Events': 'LDE',
+    'Music': 'MU',
+    'Prophecy': 'PR'
+};
+
+/**
+ * Collects every problem with a question object. Used by validateQuestion and by the
+ * question pack loader so that pack questions get the same checks as the built-in bank.
+ * @param {Object} question - The question object to check
+ * @returns {string[]} - A list of human-readable problems (empty if the question is valid)
+ */
+function getQuestionValidationErrors(question) {
+    const errors = [];
+    if (!question || typeof question !== 'object') {
+        return ['Question is not an object'];
+    }
+
+    // Check required properties
+    ['id', 'question', 'category', 'difficulty'].forEach(prop => {
+        if (typeof question[prop] !== 'string' || !question[prop].trim()) {
+            errors.push(`Missing or empty "${prop}"`);
+        }
+    });
+    const type = question.type === undefined ? 'multiple-choice' : question.type;
+    if (!QUESTION_TYPES.includes(type)) {
+        errors.push(`Unknown type "${question.type}"`);
+    }
+    const isTextList = list => Array.isArray(list) && list.every(item => typeof item === 'string' && item.trim());
+    const checkOptions = () => {
+        if (!Array.isArray(question.options) || question.options.length < 2) {
+            errors.push('"options" must be an array with at least two entries');
+            return false;
+        }
+        if (!isTextList(question.options)) {
+            errors.push('Every option must be a non-empty string');
+        }
+        if (new Set(question.options).size !== question.options.length) {
+            errors.push('Options contain duplicates');
+        }
+        return true;
+    };
+
+    if (type === 'multi-select') {
+        if (!isTextList(question.answer) || question.answer.length === 0) {
+            errors.push('"answer" must be a non-empty array of the correct options');
+        } else if (checkOptions() && question.answer.some(answer => !question.options.includes(answer))) {
+            errors.push('Every correct answer must be one of the options');
+        }
+    } else if (type === 'ordering') {
+        if (!isTextList(question.answer) || question.answer.length < 2) {
+            errors.push('"answer" must be an array of at least two items in the correct order');
+        } else if (new Set(question.answer).size !== question.answer.length) {
+            errors.push('Items to order contain duplicates');
+        } else if (question.options !== undefined && (!Array.isArray(question.options) ||
+            question.options.length !== question.answer.length ||
+            question.answer.some(item => !question.options.includes(item)))) {
+            errors.push('"options" must hold the same items as "answer"');
+        }
+    } else if (typeof question.answer !== 'string' || !question.answer.trim()) {
+        errors.push('Missing or empty "answer"');
+    } else if (type === 'true-false') {
+        if (!TRUE_FALSE_OPTIONS.includes(question.answer)) {
+            errors.push('"answer" must be "True" or "False"');
+        }
+        if (question.options !== undefined && (!Array.isArray(question.options) ||
+            question.options.length !== 2 || TRUE_FALSE_OPTIONS.some(option => !question.options.includes(option)))) {
+            errors.push('"options" must be ["True", "False"] or left out');
+        }
+    } else if (type === 'short-answer') {
+        if (question.acceptedAnswers !== undefined && !isTextList(question.acceptedAnswers)) {
+            errors.push('"acceptedAnswers" must be an array of non-empty strings');
+        }
+    } else if (checkOptions() && !question.options.includes(question.answer)) {
+        // Check that correct answer is in options
+        errors.push('Correct answer is not one of the options');
+    }
+
+    if (question.difficulty && !QUESTION_DIFFICULTIES.includes(question.difficulty)) {
+        errors.push(`Unknown difficulty "${question.difficulty}"`);
+    }
+    if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+        errors.push('"explanation" must be a string');
+    }
+    if (question.optionExplanations !== undefined) {
+        const explanations = question.optionExplanations;
+        if (!explanations || typeof explanations !== 'object' || Array.isArray(explanations)) {
+            errors.push('"optionExplanations" must be an object keyed by option');
+        } else if (!['multiple-choice', 'true-false', 'multi-select'].includes(type)) {
+            errors.push('"optionExplanations" can only be given for questions with options to pick');
+        } else {
+            const options = question.options || (type === 'true-false' ? TRUE_FALSE_OPTIONS : []);
+            Object.keys(explanations).forEach(option => {
+                if (!options.includes(option)) {
+                    errors.push(`"optionExplanations" names "${option}", which is not an option`);
+                } else if (typeof explanations[option] !== 'string' || !explanations[option].trim()) {
+                    errors.push(`The explanation for option "${option}" must be a non-empty string`);
+                }
+            });
+        }
+    }
+    if (question.media !== undefined) {
+        const media = question.media;
+        if (!media || !QUESTION_MEDIA_TYPES.includes(media.type) || typeof media.src !== 'string' || !media.src.trim()) {
+            errors.push('"media" needs a type of "image" or "audio" and a src');
+        } else if (media.type === 'image' && (typeof media.alt !== 'string' || !media.alt.trim())) {
+            errors.push('Image media needs alt text');
+        }
+    }
+    if (question.tags !== undefined && !isTextList(question.tags)) {
+        errors.push('"tags" must be an array of non-empty strings');
+    }
+    if (question.references !== undefined) {
+        if (!Array.isArray(question.references)) {
+            errors.push('"references" must be an array');
+        } else {
+            question.references.forEach((ref, i) => {
+                if (!ref || (ref.type !== 'bible' && ref.type !== 'egw') || typeof ref.book !== 'string') {
+                    errors.push(`Reference ${i + 1} needs a type of "bible" or "egw" and a book`);
+                } else if (ref.type === 'bible' && !(Number.isInteger(ref.chapter) && ref.chapter > 0)) {
+                    errors.push(`Reference ${i + 1} needs a chapter number`);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
 /**
  * Validates that a question object has all required properties and that the correct answer
  * is included in the options array.
@@ -41,19 +232,11 @@
  * @returns {boolean} - True if valid, false otherwise
  */
 function validateQuestion(question) {
-    // Check required properties
-    if (!question.id || !question.question || !question.options || !question.answer ||
-        !question.category || !question.difficulty) {
-        console.error('Question missing required properties:', question);
+    const errors = getQuestionValidationErrors(question);
+    if (errors.length > 0) {
+        console.error(`Invalid question ${question && question.id ? question.id : ''}:`, errors.join('; '), question);
         return false;
     }
-    
-    // Check that correct answer is in options
-    if (!question.options.includes(question.answer)) {
-        console.error('Correct answer not in options:', question);
-        return false;
-    }
-    
     return true;
 }
 
@@ -93,7 +276,12 @@ const gameQuestions = [
         answer: "Daniel",
         category: "Bible People",
         difficulty: "easy",
-        explanation: "Daniel was thrown into the lions' den for praying to God, but God sent an angel to shut the lions' mouths."
+        explanation: "Daniel was thrown into the lions' den for praying to God, but God sent an angel to shut the lions' mouths.",
+        optionExplanations: {
+            "Joseph": "Joseph was thrown into a pit by his brothers and later into prison, but never among lions.",
+            "David": "David killed a lion while guarding his father's sheep (1 Samuel 17:34-36); he was not thrown to one.",
+            "Jeremiah": "Jeremiah was let down into a muddy dungeon (Jeremiah 38:6), not a den of lions."
+        }
     },
     {
         id: "DH002",
@@ -111,7 +299,12 @@ const gameQuestions = [
         answer: "John Wycliffe",
         category: "General SDA",
         difficulty: "medium",
-        explanation: "John Wycliffe is often called the 'morning star of the Reformation' because his teachings and Bible translation work preceded and influenced later reformers."
+        explanation: "John Wycliffe is often called the 'morning star of the Reformation' because his teachings and Bible translation work preceded and influenced later reformers.",
+        optionExplanations: {
+            "Martin Luther": "Luther led the Reformation in the sixteenth century, nearly two hundred years after Wycliffe.",
+            "John Calvin": "Calvin was a sixteenth-century reformer in Geneva, long after the Reformation's 'dawn'.",
+            "John Huss": "Huss was inspired by Wycliffe's writings; he carried on the light rather than first bringing it."
+        }
     },
     {
         id: "LDE002",
@@ -715,7 +908,10 @@ const gameQuestions = [
         id: "PR029",
         question: "What is the primary sin of end-time Babylon?",
         options: ["Idolatry and sun worship.", "Making all nations drink the wine of her false doctrines.", "Persecuting the saints.", "Political corruption."],
-        answer: "Making all nations drink the wine of her false teachings. While Babylon is also characterized by persecution and idolatry, her primary offense is spreading false doctrines that lead people away from biblical truth."
+        answer: "Making all nations drink the wine of her false doctrines.",
+        category: "Prophecy",
+        difficulty: "medium",
+        explanation: "Babylon makes all nations drink the wine of her false teachings (Revelation 14:8; 18:3). While Babylon is also characterized by persecution and idolatry, her primary offense is spreading false doctrines that lead people away from biblical truth."
     },
     {
         id: "PR030",
@@ -1657,7 +1853,7 @@ const gameQuestions = [
         id: "GS026",
         question: "The Adventist Church's official stance on military service is:",
         options: ["Strict pacifism (refusal to serve in any capacity).", "Non-combatancy (willingness to serve, but not in roles requiring bearing arms).", "Full combat participation is encouraged.", "The church has no official position."],
-        answer: "Non-combatancy",
+        answer: "Non-combatancy (willingness to serve, but not in roles requiring bearing arms).",
         category: "General SDA",
         difficulty: "medium",
         explanation: "This position was established during the American Civil War, affirming loyalty to government but conscientiously objecting to taking human life."
@@ -2876,7 +3072,7 @@ const gameQuestions = [
         explanation: "2 Chronicles 26. Saul also offered an unlawful sacrifice, but it was Uzziah who was struck with leprosy for this specific act."
     },
     {
-        id: "PR032",
+        id: "PR045",
         question: "The 'little horn' of Daniel 7 is described as having 'eyes like the eyes of man, and a mouth speaking great things,' symbolizing its intelligence and __________.",
         options: ["military power", "divine authority", "blasphemous claims", "political cunning"],
         answer: "blasphemous claims",
@@ -2921,7 +3117,7 @@ const gameQuestions = [
         explanation: "The two horns like a lamb represent Christlike principles, but the beast speaks like a dragon, indicating a change to coercive power."
     },
     {
-        id: "DH024",
+        id: "DH034",
         question: "Daniel and his companions chose a diet of 'pulse and water' in Babylon to avoid being defiled by the king's meat, which was likely offered to idols and violated __________.",
         options: ["their personal tastes", "Mosaic dietary laws", "a specific prophetic command", "Babylonian health codes"],
         answer: "Mosaic dietary laws",
@@ -2930,7 +3126,7 @@ const gameQuestions = [
         explanation: "Daniel 1:8-16. The food was likely unclean or offered to idols, violating the Mosaic law."
     },
     {
-        id: "DH025",
+        id: "DH035",
         question: "The biblical prohibition against consuming blood is based on the principle that the __________ of the flesh is in the blood.",
         options: ["life", "strength", "soul", "spirit"],
         answer: "life",
@@ -2939,7 +3135,7 @@ const gameQuestions = [
         explanation: "Leviticus 17:11. The life of the flesh is in the blood, so it was not to be eaten."
     },
     {
-        id: "DH026",
+        id: "DH036",
         question: "According to Leviticus 11, clean fish must have both __________ and scales.",
         options: ["gills", "fins", "a backbone", "smooth skin"],
         answer: "fins",
@@ -2948,7 +3144,7 @@ const gameQuestions = [
         explanation: "Leviticus 11:9-12. Clean fish must have both fins and scales."
     },
     {
-        id: "DH027",
+        id: "DH037",
         question: "The 'more excellent way' described by Paul in the context of eating meat offered to idols was not about the food itself, but about the principle of __________.",
         options: ["strict vegetarianism", "perfect health", "love and consideration for others' consciences", "adherence to ceremonial laws"],
         answer: "love and consideration for others' consciences",
@@ -2957,7 +3153,7 @@ const gameQuestions = [
         explanation: "1 Corinthians 8, Romans 14. Paul emphasizes love and consideration for others' consciences."
     },
     {
-        id: "DH028",
+        id: "DH038",
         question: "One of the eight laws of health emphasized in SDA tradition is __________, which means self-control and moderation in good things and abstinence from harmful things.",
         options: ["nutrition", "exercise", "temperance", "rest"],
         answer: "temperance",
@@ -2966,7 +3162,7 @@ const gameQuestions = [
         explanation: "Temperance is one of the eight laws of health: Nutrition, Exercise, Water, Sunlight, Temperance, Air, Rest, Trust in God."
     },
     {
-        id: "LDE023",
+        id: "LDE033",
         question: "The 'shaking' among God's people is caused primarily by the introduction of false theories and the rejection of the __________ called for by the True Witness to the Laodiceans.",
         options: ["latter rain", "investigative judgment", "straight testimony", "Sabbath truth"],
         answer: "straight testimony",
@@ -2975,7 +3171,7 @@ const gameQuestions = [
         explanation: "The shaking is caused by the rejection of the straight testimony to the Laodiceans."
     },
     {
-        id: "LDE024",
+        id: "LDE034",
         question: "The Latter Rain is given not to cleanse character, but to empower the saints for the proclamation of the __________.",
         options: ["third angel's message", "loud cry", "judgment of the living", "Sabbath truth"],
         answer: "loud cry",
@@ -2984,7 +3180,7 @@ const gameQuestions = [
         explanation: "The Latter Rain is given to empower the saints for the Loud Cry."
     },
     {
-        id: "LDE025",
+        id: "LDE035",
         question: "Satan's crowning act in the great drama of deception will be his personal __________ of Christ, appearing as a being of dazzling brightness.",
         options: ["denial", "accusation", "impersonation", "condemnation"],
         answer: "impersonation",
@@ -2993,7 +3189,7 @@ const gameQuestions = [
         explanation: "Satan will impersonate Christ as his final deception."
     },
     {
-        id: "LDE026",
+        id: "LDE036",
         question: "The 'Image to the Beast' is formed when apostate Protestantism influences the __________ to enforce its religious dogmas.",
         options: ["papal power", "United Nations", "civil government", "world courts"],
         answer: "civil government",
@@ -3002,7 +3198,7 @@ const gameQuestions = [
         explanation: "The image is formed when church and state unite to enforce religious dogmas."
     },
     {
-        id: "LDE027",
+        id: "LDE037",
         question: "During the Time of Jacob's Trouble, the saints' deepest anguish comes from the fear that they have some __________ and are cut off from God's presence.",
         options: ["physical ailment", "unconfessed sin", "doctrinal error", "lack of provisions"],
         answer: "unconfessed sin",
@@ -3011,7 +3207,7 @@ const gameQuestions = [
         explanation: "The saints' greatest anguish is the fear of unconfessed sin."
     },
     {
-        id: "GS034",
+        id: "GS062",
         question: "The 1888 General Conference session in Minneapolis is a landmark in Adventist history for its powerful emphasis on the doctrine of __________.",
         options: ["the heavenly sanctuary", "the state of the dead", "righteousness by faith", "the Spirit of Prophecy"],
         answer: "righteousness by faith",
@@ -3020,7 +3216,7 @@ const gameQuestions = [
         explanation: "The 1888 session emphasized righteousness by faith, a pivotal doctrine in Adventist theology."
     },
     {
-        id: "GS035",
+        id: "GS063",
         question: "The 'Great Disappointment' of October 22, 1844, resulted from a misunderstanding of the __________ of the event described in Daniel 8:14, not the time.",
         options: ["location", "nature", "duration", "participants"],
         answer: "nature",
@@ -3029,7 +3225,7 @@ const gameQuestions = [
         explanation: "They expected Christ's return to earth, but the event was the beginning of His final ministry in the heavenly sanctuary."
     },
     {
-        id: "GS036",
+        id: "GS064",
         question: "The writings of Ellen G. White are referred to by Adventists as the 'Spirit of Prophecy' and are considered a 'lesser light' to lead people to the 'greater light,' which is __________.",
         options: ["Jesus Christ", "the church", "the Bible", "the Sabbath"],
         answer: "the Bible",
@@ -3038,7 +3234,7 @@ const gameQuestions = [
         explanation: "Ellen White described her writings as a 'lesser light' to lead people to the 'greater light' of the Bible."
     },
     {
-        id: "GS037",
+        id: "GS065",
         question: "The first official overseas missionary sent by the Seventh-day Adventist church was __________, who went to Switzerland in 1874.",
         options: ["James White", "Joseph Bates", "J. N. Andrews", "Uriah Smith"],
         answer: "J. N. Andrews",
@@ -3047,7 +3243,7 @@ const gameQuestions = [
         explanation: "J. N. Andrews was the first official overseas missionary, sent to Switzerland in 1874."
     },
     {
-        id: "GS038",
+        id: "GS066",
         question: "The 'Three Angels' Messages,' which form the core of the Adventist mission, are found in the book of __________, chapter 14.",
         options: ["Daniel", "Matthew", "Revelation", "Isaiah"],
         answer: "Revelation",
@@ -3101,7 +3297,7 @@ const gameQuestions = [
         explanation: "Acts 16:25-26. Paul and Silas sang at midnight, and an earthquake followed."
     },
     {
-        id: "GC031",
+        id: "GC081",
         question: "The book states that the French Revolution demonstrated the direct result of a nation banning the Bible and denying God's __________.",
         options: ["mercy", "existence", "law", "prophets"],
         answer: "existence",
@@ -3110,7 +3306,7 @@ const gameQuestions = [
         explanation: "The French Revolution is cited as an example of the consequences of rejecting God's Word and authority."
     },
     {
-        id: "GC032",
+        id: "GC082",
         question: "The 'two great errors' that form the foundation of modern spiritualism are the immortality of the soul and __________.",
         options: ["Sunday sacredness", "papal infallibility", "the secret rapture", "pantheism"],
         answer: "Sunday sacredness",
@@ -3119,7 +3315,7 @@ const gameQuestions = [
         explanation: "The two great errors are the immortality of the soul and Sunday sacredness."
     },
     {
-        id: "GC033",
+        id: "GC083",
         question: "After the Great Disappointment, the key that unlocked the mystery was a new understanding of Christ's ministry in the __________.",
         options: ["heavenly sanctuary", "human heart", "earthly church", "wilderness"],
         answer: "heavenly sanctuary",
@@ -3128,7 +3324,7 @@ const gameQuestions = [
         explanation: "The sanctuary in heaven, not the earth, was the true focus of Daniel 8:14."
     },
     {
-        id: "GC034",
+        id: "GC084",
         question: "The book argues that the divine institution of marriage and the __________ were 'twin institutions' given in Eden.",
         options: ["family", "Sabbath", "priesthood", "sanctuary"],
         answer: "Sabbath",
@@ -3137,7 +3333,7 @@ const gameQuestions = [
         explanation: "Marriage and the Sabbath were both established in Eden."
     },
     {
-        id: "GC035",
+        id: "GC085",
         question: "The final conclusion and overarching theme of the entire book is that God's __________ is immutable and His government will be vindicated.",
         options: ["power", "love", "grace", "law"],
         answer: "law",
@@ -3146,7 +3342,7 @@ const gameQuestions = [
         explanation: "The book concludes that God's law is unchangeable and His government will ultimately be vindicated."
     },
     {
-        id: "GS039",
+        id: "GS067",
         question: "According to Fred Bischoff in 'The Importance of the Pioneers,' what was the specific role of the 'prophets' in the early Christian church in relation to the 'apostles'?",
         options: [
             "To be eyewitnesses of Christ's ministry alongside the apostles.",
@@ -3160,7 +3356,7 @@ const gameQuestions = [
         explanation: "The text states, 'The prophets were individuals who in a similar special way were spokespersons for God, sent with messages to 'those who believe' (1 Cor. 14:22), those who had accepted the gospel that the apostles preached.'"
     },
     {
-        id: "GS040",
+        id: "GS068",
         question: "In William Miller's allegorical dream, what happened immediately after he used 'physical force' to push people out of the room where the jewels were scattered?",
         options: [
             "The people left, and he was able to gather the jewels in peace.",
@@ -3188,7 +3384,7 @@ const gameQuestions = [
         explanation: "The timeline on page 16 states, 'Josiah Litch wrote on the seven trumpets of Revelation and set a date for the sixth trumpet as the fall of the Ottoman Empire on August 11, 1840. The fall of the Ottoman empire on August 11, demonstrated the day-for-a-year principle.'"
     },
     {
-        id: "GS041",
+        id: "GS069",
         question: "What was Hiram Edson's specific action on the morning of October 23, 1844, that led to his vision of Christ's ministry in the heavenly sanctuary?",
         options: [
             "He was praying in his barn with other believers and received the insight.",
@@ -3202,7 +3398,7 @@ const gameQuestions = [
         explanation: "The text describes that after praying in the granary, Edson and a friend 'walked through the cornfield to avoid the mocking jeers of the neighbors... Edson stopped in the field to pray once more. There, heaven was opened to his view.'"
     },
     {
-        id: "GS042",
+        id: "GS070",
         question: "In the timeline of early Adventist history, what event immediately followed the 'first disappointment' in March 1844?",
         options: [
             "Churches began to shut their doors to the Advent message.",
@@ -3216,7 +3412,7 @@ const gameQuestions = [
         explanation: "The timeline on page 16 states, 'On March 12, the first disappointment took place and there was a tarrying time. Churches began to shut their doors to the message.'"
     },
     {
-        id: "GS043",
+        id: "GS071",
         question: "As described by Marlene Steinweg, what was the primary reason for the deep personal conflict Josiah Litch experienced before fully accepting and preaching the Millerite message?",
         options: [
             "He disagreed with Miller's interpretation of the 2300 days.",
@@ -3224,13 +3420,13 @@ const gameQuestions = [
             "He was concerned that if Jesus did not come as predicted, his own reputation would be damaged.",
             "He was troubled by a spectacular dream that warned him against the message."
         ],
-        answer: "He was concerned that if Jesus did not come as predicted, his having preached the doctrine would hurt his reputation.",
+        answer: "He was concerned that if Jesus did not come as predicted, his own reputation would be damaged.",
         category: "General SDA",
         difficulty: "hard",
         explanation: "The article states, 'He resisted this conviction, however, fearing that, if Jesus did not come as predicted, his having preached the doctrine would hurt his reputation.'"
     },
     {
-        id: "GS044",
+        id: "GS072",
         question: "In the 1888 Minneapolis General Conference, what was the specific doctrinal point of contention regarding the law in Galatians?",
         options: [
             "Whether the law was still binding on Christians.",
@@ -3244,7 +3440,7 @@ const gameQuestions = [
         explanation: "The text explains, 'E. J. Waggoner, editor of the Signs of the Times... believed that the law spoken of in Galatians 3:24 was the Moral Law, whereas the almost unanimous position held by denominational leaders at that time was that Galatians spoke of the Ceremonial Law.'"
     },
     {
-        id: "GS045",
+        id: "GS073",
         question: "According to Ellen White's letter to O. A. Olsen in October 1890, what was the primary reason J. N. Loughborough's influence was considered so valuable for the churches at that time?",
         options: [
             "His administrative skills in organizing new conferences.",
@@ -3323,7 +3519,7 @@ const gameQuestions = [
             "It resulted in a lifelong struggle with digestive issues.",
             "It led to a severe hearing impairment."
         ],
-        answer: "It caused the amputation of his left leg between the a knee and the thigh.",
+        answer: "It caused the amputation of his left leg between the knee and the thigh.",
         category: "The Great Controversy",
         difficulty: "medium",
         explanation: "The text says, 'As a result there developed in his left leg a sore which became so aggravated that amputation was thought necessary. The limb was removed at a point about half way between the knee and the thigh.' (Page 297)"
@@ -3365,7 +3561,7 @@ const gameQuestions = [
             "He was a sergeant who joined other soldiers in providing covering fire for the rescue team.",
             "He was a negotiator who arranged a truce."
         ],
-        answer: "He was a sergeant who joined other soldiers in providing cover by firing over the heads of the team that rescued their mortally wounded General.",
+        answer: "He was a sergeant who joined other soldiers in providing covering fire for the rescue team.",
         category: "The Great Controversy",
         difficulty: "medium",
         explanation: "The text states, 'Sergeant A. T. Jones joined other soldiers in providing cover by firing over the heads of the team that rescued their mortally wounded General.' (Page 330)"
@@ -3377,9 +3573,9 @@ const gameQuestions = [
             "A major outbreak of typhoid fever.",
             "The building of the new Health Reform Institute.",
             "The visit of J. N. Loughborough to the city.",
-            "She was not prompted by a specific event, but a general observation. The text does not specify an event, only the date of the appeal."
+            "She was not prompted by a specific event, but by a general observation."
         ],
-        answer: "She was not prompted by a specific event, but a general observation. The text does not specify an event.",
+        answer: "She was not prompted by a specific event, but by a general observation.",
         category: "The Great Controversy",
         difficulty: "medium",
         explanation: "The text simply states, 'October 2, 1868 Ellen White expressed how difficult it was among Sabbath-keeping people in Battle Creek to advance the health reform cause.' It connects her writing to a general condition, not a specific event. (Page 275)"
@@ -3393,7 +3589,7 @@ const gameQuestions = [
             "The first, second, and third angels' messages.",
             "The second coming of Christ."
         ],
-        answer: "The first, second, and second angels' messages.",
+        answer: "The first, second, and third angels' messages.",
         category: "The Great Controversy",
         difficulty: "medium",
         explanation: "She listed them in order: '...the cleansing of the sanctuary... [also] the first and second angels' messages and the third, unfurling the banner on which was inscribed, 'The commandments of God and the faith of Jesus.' (Page 337)"
@@ -4587,6 +4783,82 @@ const gameQuestions = [
         category: "Bible People",
         difficulty: "medium",
         explanation: "The story in Acts 3:1-10 (KJV) describes the man and his healing in detail but never mentions his personal name."
+    },
+    {
+        id: "BP160",
+        type: "short-answer",
+        question: "Which king of Babylon dreamed of a great image of gold, silver, brass, iron and clay?",
+        answer: "Nebuchadnezzar",
+        acceptedAnswers: ["Nebuchadrezzar"],
+        category: "Bible People",
+        difficulty: "easy",
+        explanation: "Daniel 2:1 (KJV) tells how Nebuchadnezzar dreamed the dream that Daniel later made known and interpreted."
+    },
+    {
+        id: "BP161",
+        type: "ordering",
+        question: "Put these kings of Judah in the order they reigned.",
+        answer: ["Rehoboam", "Asa", "Jehoshaphat", "Hezekiah", "Josiah"],
+        category: "Bible People",
+        difficulty: "hard",
+        explanation: "Rehoboam (1 Kings 12) was followed in time by Asa (1 Kings 15), Jehoshaphat (1 Kings 22), Hezekiah (2 Kings 18) and Josiah (2 Kings 22)."
+    },
+    {
+        id: "PR041",
+        type: "ordering",
+        question: "Put the four beasts of Daniel 7 in the order they came up out of the sea.",
+        answer: ["A lion with eagle's wings", "A bear", "A leopard with four heads", "A dreadful and terrible beast with ten horns"],
+        category: "Prophecy",
+        difficulty: "medium",
+        explanation: "Daniel 7:4-7 (KJV) describes the lion, the bear, the leopard and the fourth beast, representing Babylon, Medo-Persia, Greece and Rome."
+    },
+    {
+        id: "PR042",
+        type: "true-false",
+        question: "True or false: in Nebuchadnezzar's dream the feet of the image were part iron and part clay.",
+        answer: "True",
+        category: "Prophecy",
+        difficulty: "easy",
+        explanation: "Daniel 2:33 (KJV): \"His legs of iron, his feet part of iron and part of clay.\""
+    },
+    {
+        id: "PR043",
+        type: "multi-select",
+        question: "Which of these are part of the first angel's message in Revelation 14? Choose all that apply.",
+        options: ["Fear God", "Give glory to Him", "Worship Him that made heaven and earth", "Babylon is fallen"],
+        answer: ["Fear God", "Give glory to Him", "Worship Him that made heaven and earth"],
+        category: "Prophecy",
+        difficulty: "medium",
+        explanation: "Revelation 14:6-7 (KJV) calls all to fear God, give glory to Him and worship the Creator; \"Babylon is fallen\" is the second angel's message in verse 8."
+    },
+    {
+        id: "PR044",
+        question: "In this plan of the wilderness sanctuary, what is the room marked with a question mark called?",
+        media: {
+            type: "image",
+            src: "media/sanctuary-plan.svg",
+            alt: "Plan of the sanctuary: a courtyard with the altar and laver, and a tent whose inner room holds the ark and is marked with a question mark"
+        },
+        options: ["The Most Holy Place", "The Holy Place", "The Court of the Gentiles", "The Porch"],
+        answer: "The Most Holy Place",
+        category: "Prophecy",
+        difficulty: "easy",
+        explanation: "Exodus 26:33-34 (KJV): the vail divides the holy place from the most holy, where the ark of the testimony was placed."
     }
 // ... existing code ...
-];
\ No newline at end of file
+];
+
+// Node (question-linter.js) requires this file for the bank and its validation rules. In the
+// browser there is no `module`, so the bank stays on the shared global scope instead.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        gameQuestions,
+        validateQuestion,
+        getQuestionValidationErrors,
+        QUESTION_DIFFICULTIES,
+        QUESTION_TYPES,
+        QUESTION_MEDIA_TYPES,
+        QUESTION_TAGS,
+        CATEGORY_ID_PREFIXES
+    };
+}
@@ -0,0 +1,402 @@
+/**
+ * quiz-builder.js - SDA Trivia Challenge Custom Quiz Builder
+ *
+ * Host screen for preparing a quiz from hand-picked questions, e.g. for a lesson. Questions are
+ * found by searching and filtering the bank or added by ID, put in order and saved as a named
+ * quiz with its own rules (solo or teams, time per question, question order, wagers and
+ * power-ups). Saved quizzes are listed on the start screen and can be exported and imported
+ * as JSON files; an export carries the questions themselves so a quiz that uses locally
+ * edited questions still plays on another device.
+ */
+
+const CUSTOM_QUIZZES_STORAGE_KEY = 'customQuizzes';
+const CUSTOM_QUIZ_EXPORT_TYPE = 'custom-quiz';
+const DEFAULT_CUSTOM_QUIZ_RULES = {
+    mode: 'solo',          // 'solo' or 'teams'
+    timeLimit: 0,          // Seconds per question, or 0 for each question's own limit
+    shuffleQuestions: false,
+    wagers: true,
+    powerUps: true         // Hint, Take Away Two and the faith token power-ups
+};
+const CUSTOM_QUIZ_MIN_TIME_LIMIT = 5;
+const CUSTOM_QUIZ_MAX_TIME_LIMIT = 120;
+// How many search results the bank list shows at once
+const QUIZ_BUILDER_RESULT_LIMIT = 50;
+
+/**
+ * Reads the saved quizzes.
+ * @returns {Object[]} - Quizzes: { id, name, questionIds, rules, updatedAt }
+ */
+function getCustomQuizzes() {
+    try {
+        const quizzes = JSON.parse(localStorage.getItem(CUSTOM_QUIZZES_STORAGE_KEY));
+        if (Array.isArray(quizzes)) return quizzes;
+    } catch (error) {
+        console.warn('Could not read custom quizzes:', error);
+    }
+    return [];
+}
+
+function saveCustomQuizzes(quizzes) {
+    localStorage.setItem(CUSTOM_QUIZZES_STORAGE_KEY, JSON.stringify(quizzes));
+}
+
+/**
+ * Collects every problem with a quiz.
+ * @param {Object} quiz - The quiz to check
+ * @returns {string[]} - A list of problems (empty if the quiz can be saved)
+ */
+function getCustomQuizErrors(quiz) {
+    const errors = [];
+    if (!quiz || typeof quiz !== 'object') return ['Quiz is not an object'];
+    if (typeof quiz.name !== 'string' || !quiz.name.trim()) errors.push('Give the quiz a name');
+    if (!Array.isArray(quiz.questionIds) || quiz.questionIds.length === 0) {
+        errors.push('Add at least one question');
+    } else if (quiz.questionIds.some(id => typeof id !== 'string' || !id)) {
+        errors.push('Question IDs must be non-empty strings');
+    }
+    const rules = quiz.rules || {};
+    if (!['solo', 'teams'].includes(rules.mode)) errors.push('Mode must be solo or teams');
+    if (!Number.isInteger(rules.timeLimit) || (rules.timeLimit !== 0 &&
+        (rules.timeLimit < CUSTOM_QUIZ_MIN_TIME_LIMIT || rules.timeLimit > CUSTOM_QUIZ_MAX_TIME_LIMIT))) {
+        errors.push(`Time per question must be 0 (question default) or ${CUSTOM_QUIZ_MIN_TIME_LIMIT}-${CUSTOM_QUIZ_MAX_TIME_LIMIT} seconds`);
+    }
+    ['shuffleQuestions', 'wagers', 'powerUps'].forEach(rule => {
+        if (typeof rules[rule] !== 'boolean') errors.push(`Rule ${rule} must be true or false`);
+    });
+    return errors;
+}
+
+/**
+ * Looks up a quiz's questions, in quiz order. Questions no longer in the pool are skipped.
+ * @param {Object} quiz - The quiz
+ * @param {Object[]} pool - The questions to look in (normally gameQuestions)
+ * @returns {Object[]} - The questions
+ */
+function getCustomQuizQuestions(quiz, pool) {
+    const byId = new Map();
+    pool.forEach(question => { if (!byId.has(question.id)) byId.set(question.id, question); });
+    return quiz.questionIds.filter(id => byId.has(id)).map(id => byId.get(id));
+}
+
+/**
+ * Builds the export file of a quiz.
+ * @param {Object} quiz - The quiz
+ * @param {Object[]} pool - The questions to take the quiz's questions from
+ * @returns {Object} - The export: the quiz and its questions
+ */
+function buildCustomQuizExport(quiz, pool) {
+    return {
+        type: CUSTOM_QUIZ_EXPORT_TYPE,
+        version: 1,
+        // Questions are exported as shown, so a translated pool exports translated text
+        language: currentLanguage,
+        quiz: { name: quiz.name, questionIds: quiz.questionIds, rules: quiz.rules },
+        questions: getCustomQuizQuestions(quiz, pool)
+    };
+}
+
+/**
+ * Reads an exported quiz file.
+ * @param {Object} data - The parsed file
+ * @returns {{quiz: Object, questions: Object[], errors: string[]}} - The quiz (without an id),
+ *   its valid questions and any problems that prevent importing it
+ */
+function readCustomQuizExport(data) {
+    if (!data || data.type !== CUSTOM_QUIZ_EXPORT_TYPE || !data.quiz) {
+        return { quiz: null, questions: [], errors: ['This is not an exported quiz file'] };
+    }
+    const quiz = {
+        name: data.quiz.name,
+        questionIds: data.quiz.questionIds,
+        rules: Object.assign({}, DEFAULT_CUSTOM_QUIZ_RULES, data.quiz.rules)
+    };
+    const questions = Array.isArray(data.questions) && data.language === DEFAULT_LANGUAGE
+        ? data.questions.filter(validateQuestion)
+        : [];
+    return { quiz, questions, errors: getCustomQuizErrors(quiz) };
+}
+
+/**
+ * Lists the saved quizzes on the start screen, one button per quiz.
+ */
+function renderCustomQuizButtons() {
+    const wrapper = document.getElementById('custom-quizzes');
+    const list = document.getElementById('custom-quiz-buttons');
+    if (!wrapper || !list) return;
+    const quizzes = getCustomQuizzes();
+    wrapper.style.display = quizzes.length > 0 ? '' : 'none';
+    list.innerHTML = '';
+    quizzes.forEach(quiz => {
+        const count = getCustomQuizQuestions(quiz, gameQuestions).length;
+        const btn = document.createElement('button');
+        btn.className = 'comic-button';
+        btn.innerText = `📝 ${quiz.name} (${count})`;
+        btn.title = quiz.rules.mode === 'teams' ? t('start.customQuizTeams', 'Two teams') : t('start.customQuizSolo', 'Solo');
+        btn.disabled = count === 0;
+        btn.onclick = () => startGame(quiz.rules.mode, quiz);
+        list.appendChild(btn);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const builderScreen = document.getElementById('quiz-builder-screen');
+    const builderBtn = document.getElementById('quiz-builder-btn');
+    const savedSelect = document.getElementById('quiz-saved');
+    const nameInput = document.getElementById('quiz-name');
+    const modeSelect = document.getElementById('quiz-mode');
+    const timeLimitInput = document.getElementById('quiz-time-limit');
+    const shuffleCheckbox = document.getElementById('quiz-shuffle');
+    const wagersCheckbox = document.getElementById('quiz-wagers');
+    const powerUpsCheckbox = document.getElementById('quiz-power-ups');
+    const searchInput = document.getElementById('quiz-search');
+    const categoryFilter = document.getElementById('quiz-filter-category');
+    const difficultyFilter = document.getElementById('quiz-filter-difficulty');
+    const bankList = document.getElementById('quiz-bank');
+    const bankCount = document.getElementById('quiz-bank-count');
+    const addIdInput = document.getElementById('quiz-add-id');
+    const selectedList = document.getElementById('quiz-selected');
+    const selectedCount = document.getElementById('quiz-selected-count');
+    const errorsList = document.getElementById('quiz-errors');
+    const importFile = document.getElementById('quiz-import-file');
+    if (!builderScreen || !builderBtn) return;
+
+    // Id of the saved quiz in the form, or null for a new one, and its questions in order
+    let editingId = null;
+    let questionIds = [];
+
+    function findQuestion(id) {
+        return gameQuestions.find(q => q.id === id);
+    }
+
+    function readForm() {
+        return {
+            name: nameInput.value.trim(),
+            questionIds: questionIds.slice(),
+            rules: {
+                mode: modeSelect.value,
+                timeLimit: parseInt(timeLimitInput.value, 10) || 0,
+                shuffleQuestions: shuffleCheckbox.checked,
+                wagers: wagersCheckbox.checked,
+                powerUps: powerUpsCheckbox.checked
+            }
+        };
+    }
+
+    function fillForm(quiz) {
+        const rules = Object.assign({}, DEFAULT_CUSTOM_QUIZ_RULES, quiz.rules);
+        editingId = quiz.id || null;
+        questionIds = (quiz.questionIds || []).slice();
+        nameInput.value = quiz.name || '';
+        modeSelect.value = rules.mode;
+        timeLimitInput.value = rules.timeLimit;
+        shuffleCheckbox.checked = rules.shuffleQuestions;
+        wagersCheckbox.checked = rules.wagers;
+        powerUpsCheckbox.checked = rules.powerUps;
+        showErrors([]);
+        renderAll();
+    }
+
+    function showErrors(errors) {
+        errorsList.innerHTML = '';
+        errors.forEach(message => {
+            const li = document.createElement('li');
+            li.textContent = message;
+            errorsList.appendChild(li);
+        });
+    }
+
+    function renderSavedSelect() {
+        savedSelect.innerHTML = '';
+        savedSelect.add(new Option('New quiz', ''));
+        getCustomQuizzes().forEach(quiz => savedSelect.add(new Option(quiz.name, quiz.id)));
+        savedSelect.value = editingId || '';
+    }
+
+    function renderFilters() {
+        const previous = categoryFilter.value;
+        const categories = Array.from(new Set(gameQuestions.map(q => q.category))).sort();
+        categoryFilter.innerHTML = '<option value="All">All categories</option>' +
+            categories.map(category => `<option value="${category}">${category}</option>`).join('');
+        if (categories.includes(previous)) categoryFilter.value = previous;
+    }
+
+    function renderBank() {
+        const term = searchInput.value.trim().toLowerCase();
+        const added = new Set(questionIds);
+        const matches = gameQuestions.filter(q => !added.has(q.id) &&
+            (categoryFilter.value === 'All' || q.category === categoryFilter.value) &&
+            (difficultyFilter.value === 'All' || q.difficulty === difficultyFilter.value) &&
+            (!term || q.id.toLowerCase().includes(term) || q.question.toLowerCase().includes(term)));
+        bankCount.textContent = matches.length > QUIZ_BUILDER_RESULT_LIMIT
+            ? `Showing ${QUIZ_BUILDER_RESULT_LIMIT} of ${matches.length} matches, click one to add it`
+            : `${matches.length} match(es), click one to add it`;
+        bankList.innerHTML = '';
+        matches.slice(0, QUIZ_BUILDER_RESULT_LIMIT).forEach(q => {
+            const li = document.createElement('li');
+            li.className = 'editor-list-item';
+            li.textContent = `${q.id} — ${q.question}`;
+            li.title = `${q.category}, ${q.difficulty}`;
+            li.tabIndex = 0;
+            li.onclick = () => {
+                questionIds.push(q.id);
+                renderAll();
+            };
+            li.onkeydown = e => { if (e.key === 'Enter') li.click(); };
+            bankList.appendChild(li);
+        });
+    }
+
+    function moveQuestion(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= questionIds.length) return;
+        [questionIds[index], questionIds[target]] = [questionIds[target], questionIds[index]];
+        renderAll();
+    }
+
+    function renderSelected() {
+        selectedCount.textContent = `${questionIds.length} question(s) in this quiz`;
+        selectedList.innerHTML = '';
+        questionIds.forEach((id, index) => {
+            const question = findQuestion(id);
+            const li = document.createElement('li');
+            li.className = 'quiz-selected-item';
+            if (!question) li.classList.add('missing');
+            const text = document.createElement('span');
+            text.textContent = question ? `${id} — ${question.question}` : `${id} — not in the question bank, will be skipped`;
+            li.appendChild(text);
+            [['↑', 'Move up', () => moveQuestion(index, -1)],
+             ['↓', 'Move down', () => moveQuestion(index, 1)],
+             ['✕', 'Remove', () => { questionIds.splice(index, 1); renderAll(); }]].forEach(([label, title, action]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'quiz-selected-action';
+                btn.textContent = label;
+                btn.title = title;
+                btn.setAttribute('aria-label', `${title}: ${id}`);
+                btn.onclick = action;
+                li.appendChild(btn);
+            });
+            selectedList.appendChild(li);
+        });
+    }
+
+    function renderAll() {
+        renderSavedSelect();
+        renderBank();
+        renderSelected();
+    }
+
+    // Adds the comma or space separated IDs typed by the host (case does not matter)
+    function addIds() {
+        const unknown = [];
+        addIdInput.value.split(/[\s,]+/).filter(Boolean).forEach(typed => {
+            const question = findQuestion(typed) || gameQuestions.find(q => q.id.toLowerCase() === typed.toLowerCase());
+            if (!question) unknown.push(typed);
+            else if (!questionIds.includes(question.id)) questionIds.push(question.id);
+        });
+        addIdInput.value = unknown.join(', ');
+        showErrors(unknown.length > 0 ? [`No question with ID ${unknown.join(', ')}`] : []);
+        renderAll();
+    }
+
+    document.getElementById('quiz-add-id-btn').onclick = addIds;
+    addIdInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addIds();
+        }
+    });
+    [searchInput, categoryFilter, difficultyFilter].forEach(input => input.addEventListener('input', renderBank));
+
+    savedSelect.addEventListener('change', () => {
+        const quiz = getCustomQuizzes().find(q => q.id === savedSelect.value);
+        fillForm(quiz || {});
+    });
+
+    document.getElementById('quiz-new').onclick = () => fillForm({});
+
+    document.getElementById('quiz-save').onclick = () => {
+        const quiz = readForm();
+        const errors = getCustomQuizErrors(quiz);
+        showErrors(errors);
+        if (errors.length > 0) return;
+        quiz.id = editingId || `quiz-${Date.now().toString(36)}`;
+        quiz.updatedAt = new Date().toISOString();
+        const quizzes = getCustomQuizzes();
+        const index = quizzes.findIndex(q => q.id === quiz.id);
+        if (index === -1) quizzes.push(quiz);
+        else quizzes[index] = quiz;
+        saveCustomQuizzes(quizzes);
+        editingId = quiz.id;
+        renderAll();
+        renderCustomQuizButtons();
+    };
+
+    document.getElementById('quiz-delete').onclick = () => {
+        if (!editingId || !confirm(`Delete the quiz "${nameInput.value}"?`)) return;
+        saveCustomQuizzes(getCustomQuizzes().filter(q => q.id !== editingId));
+        fillForm({});
+        renderCustomQuizButtons();
+    };
+
+    document.getElementById('quiz-export').onclick = () => {
+        const quiz = readForm();
+        const errors = getCustomQuizErrors(quiz);
+        showErrors(errors);
+        if (errors.length > 0) return;
+        const slug = quiz.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz';
+        downloadJson(buildCustomQuizExport(quiz, gameQuestions), `${slug}.json`);
+    };
+
+    document.getElementById('quiz-import').onclick = () => importFile.click();
+
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        importFile.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const { quiz, questions, errors } = readCustomQuizExport(JSON.parse(text));
+                if (errors.length > 0) {
+                    showErrors(errors);
+                    return;
+                }
+                // Questions this device does not have are saved as local edits (see question-editor.js)
+                const missing = questions.filter(q => !findQuestion(q.id) && quiz.questionIds.includes(q.id));
+                if (missing.length > 0) {
+                    const data = getQuestionEditorData();
+                    const ids = new Set(missing.map(q => q.id));
+                    data.questions = data.questions.filter(q => !ids.has(q.id)).concat(missing);
+                    data.deletedIds = data.deletedIds.filter(id => !ids.has(id));
+                    saveQuestionEditorData(data);
+                    mergeQuestionsIntoPool(gameQuestions, missing);
+                    if (window.refreshQuestionFilters) window.refreshQuestionFilters();
+                }
+                quiz.id = `quiz-${Date.now().toString(36)}`;
+                quiz.updatedAt = new Date().toISOString();
+                saveCustomQuizzes(getCustomQuizzes().concat(quiz));
+                fillForm(quiz);
+                renderCustomQuizButtons();
+                alert(`Imported "${quiz.name}"` +
+                    (missing.length > 0 ? ` and added ${missing.length} question(s) to your local questions.` : '.'));
+            })
+            .catch(error => {
+                console.warn('Could not import quiz:', error);
+                showErrors([`Could not read ${file.name}: ${error.message}`]);
+            });
+    });
+
+    builderBtn.onclick = () => {
+        slideOut(container, () => {
+            slideIn(builderScreen);
+            renderFilters();
+            renderAll();
+        });
+    };
+
+    document.getElementById('quiz-builder-back').onclick = () => {
+        renderCustomQuizButtons();
+        slideOut(builderScreen, () => slideIn(container));
+    };
+});
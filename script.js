@@ -24,6 +24,7 @@ const scoreSolo = document.getElementById('score-solo');
 const scoreTeams = document.getElementById('score-teams');
 const timerDiv = document.querySelector('.timer p');
 const questionDiv = document.querySelector('.question p');
+const questionMediaDiv = document.getElementById('question-media');
 const optionsDiv = document.querySelector('.options');
 const nextBtn = document.getElementById('next');
 const resultsSolo = document.getElementById('results-solo');
@@ -54,6 +55,11 @@ explanationDiv.style.padding = '1rem 1.2rem';
 explanationDiv.style.boxShadow = '0 2px 12px #ffd70022';
 // Insert after optionsDiv in the DOM
 optionsDiv.parentNode.appendChild(explanationDiv);
+// "Read the source" panel shown under the explanation
+const sourcePanel = document.createElement('div');
+sourcePanel.id = 'source-panel';
+sourcePanel.style.display = 'none';
+optionsDiv.parentNode.appendChild(sourcePanel);
 
 // --- Sound Integration ---
 const audioCorrect1 = document.getElementById('audio-correct-1');
@@ -64,6 +70,7 @@ const audioRiser = document.getElementById('audio-riser');
 const audioBg = document.getElementById('audio-bg');
 const audioTimerTick = document.getElementById('audio-timer-tick'); // old ticking sound
 const audioTickingTime = document.getElementById('audio-ticking-time'); // new ticking sound
+const audioBuzzer = audioTimerTick; // The game show buzzer, now used for buzz-ins
 const muteToggle = document.getElementById('mute-toggle');
 let isMuted = false;
 let tickingInterval = null;
@@ -150,6 +157,10 @@ muteToggle.addEventListener('click', () => {
     allAudioElements.forEach(a => {
         if(a) a.muted = isMuted;
     });
+    // Question audio clips (question-media.js)
+    questionMediaCache.forEach(element => {
+        if (element instanceof HTMLAudioElement) element.muted = isMuted;
+    });
     
     // Update mute button UI
     muteToggle.innerText = isMuted ? '🔇' : '🔊';
@@ -224,12 +235,16 @@ let timer;
 let timeLeft = 15;
 
 // --- NEW FOR TIME ATTACK MODE ---
-let isTimeAttackMode = false; // Always false to disable time attack mode
+let isTimeAttackMode = false;
 let globalTimer;
-const TOTAL_TIME_LIMIT = 180; // 3 minutes
+const TOTAL_TIME_LIMIT = 180; // 3 minutes, unless the host picks another limit on the start screen
+const TIME_ATTACK_LIMIT_STORAGE_KEY = 'timeAttackLimit';
+let timeAttackLimit = TOTAL_TIME_LIMIT;
 let globalTimeLeft = TOTAL_TIME_LIMIT;
 let timeAttackStartTime = null;
 let timeRanOut = false;
+let timeAttackAttempted = 0; // Questions answered before the clock ran out
+let nextQuestionTimeout = null; // Time Attack moves on by itself after each answer
 // --- NEW FOR SEQUENTIAL TEAM TIME ATTACK ---
 let timeAttackTeamTurn = 'blue';
 let timeAttackBlueTeamFinalScore = 0;
@@ -237,39 +252,186 @@ let timeAttackBlueTeamFinalScore = 0;
 let answerTimes = [];
 let questionStartTime = null;
 let powerUpsUsed = 0;
+// Help used on the current question, for the per-question stats (question-stats.js)
+let hintUsedOnQuestion = false;
+let takeawayUsedOnQuestion = false;
 let faithTokens = 0; // already present, but moved here for clarity
 let wrongStreak = 0;
 let hadComebackStreak = false;
+// --- Survival mode (survival-mode.js) ---
+let isSurvivalMode = false;
+let survivalLives = 0;
+let survivalStartLives = 0;
+let survivalPool = [];
+// --- Category board (board-mode.js) ---
+let isBoardMode = false;
+let categoryBoard = null;
+let currentBoardTile = null;
+// --- Buzz-in team games (buzz-in.js) ---
+let isBuzzInMode = false;
+let buzzInKeys = BUZZ_IN_DEFAULT_KEYS;
+let buzzOpen = false; // The question is taking buzzes or answers
+let buzzedTeam = null;
+let buzzedOut = []; // Teams that missed the current question
+let buzzTimeLeft = 0; // Time that was left to buzz when the question was taken
 // --- New for leaderboard ---
+const LEADERBOARD_STORAGE_KEY = 'leaderboards';
+const LEADERBOARD_SIZE = 10;
 let gameStartTime = null;
 let gameElapsedTime = 0;
 let gameQuestionCount = 0;
 // --- NEW FOR UNIQUE QUESTIONS ---
 let blueTeamQuestions = [];
+// --- Study mode (review of missed questions, no wagers or timers) ---
+let isStudyMode = false;
+// --- Daily Challenge (same questions for everyone each day, see daily-challenge.js) ---
+let isDailyChallenge = false;
+let dailyChallengeKey = null;
+// --- Game codes (seeded, replayable games, see game-codes.js) ---
+let gameCode = null;
+let pendingGameSeed = null; // Seed of a code entered on the start screen, used by the next game
+// --- Custom quizzes (hand-picked questions and rules, see quiz-builder.js) ---
+let customQuiz = null;
+let wagersEnabled = true;
+// --- Final Question ---
+let isFinalRound = false;
+let finalRoundPlayed = false;
+let finalQuestion = null;
+let finalOptions = []; // Both teams see the options in the same order
+let finalTurns = []; // Players still to wager (then to answer), see getFinalRoundPlayers
+let finalWagers = {};
+let finalResponses = {};
+// --- Adaptive difficulty ---
+let isAdaptiveMode = false;
+let adaptivePool = [];
+let adaptiveStartRating = null;
 
 // --- Utility Functions ---
-function shuffle(array) {
+/**
+ * Shuffles an array in place.
+ * @param {Array} array - The array to shuffle
+ * @param {function(): number} [random] - Random number source; defaults to the game's seeded
+ *   generator (see game-codes.js) so a game can be replayed from its code
+ * @returns {Array} - The same array
+ */
+function shuffle(array, random = gameRandom) {
     let currentIndex = array.length, randomIndex;
     while (currentIndex !== 0) {
-        randomIndex = Math.floor(Math.random() * currentIndex);
+        randomIndex = Math.floor(random() * currentIndex);
         currentIndex--;
         [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
     }
     return array;
 }
 
+// --- Difficulty Selection ---
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+// Target share of each difficulty in a "Balanced" round
+const BALANCED_DIFFICULTY_MIX = { easy: 0.4, medium: 0.4, hard: 0.2 };
+
+/**
+ * Builds a round with a target ratio of difficulties (BALANCED_DIFFICULTY_MIX), ordered so
+ * the game starts easy and ramps up. If a difficulty runs short, the gap is filled from the
+ * nearest other difficulty.
+ * @param {Object[]} pool - Shuffled candidate questions
+ * @param {number} count - Number of questions in the round
+ * @returns {Object[]} - The round, easiest first
+ */
+function buildBalancedRound(pool, count) {
+    const byDifficulty = {};
+    DIFFICULTY_ORDER.forEach(d => { byDifficulty[d] = pool.filter(q => q.difficulty === d); });
+    const total = Math.min(count, pool.length);
+    const round = [];
+
+    DIFFICULTY_ORDER.forEach(d => {
+        const target = Math.round(total * BALANCED_DIFFICULTY_MIX[d]);
+        round.push(...byDifficulty[d].splice(0, target));
+    });
+    // Fill any shortfall (or rounding gap) from the nearest difficulties, medium first
+    ['medium', 'easy', 'hard'].forEach(d => {
+        if (round.length < total) round.push(...byDifficulty[d].splice(0, total - round.length));
+    });
+
+    return round
+        .slice(0, total)
+        .sort((a, b) => DIFFICULTY_ORDER.indexOf(a.difficulty) - DIFFICULTY_ORDER.indexOf(b.difficulty));
+}
+
+// --- Category Weights ---
+/**
+ * Orders questions so each category gets a share of the round proportional to its weight,
+ * rather than to how many questions it has. Categories are interleaved evenly (smooth
+ * weighted round robin); once a category runs out the others fill the remaining slots.
+ * @param {Object[]} pool - Candidate questions
+ * @param {Object|null} weights - Map of category to weight, or null to shuffle the pool as is
+ * @returns {Object[]} - A new array with every question in the pool, in draw order
+ */
+function interleaveByCategoryWeight(pool, weights) {
+    if (!weights) return shuffle(pool.slice());
+    const queues = {};
+    shuffle(pool.slice()).forEach(q => {
+        (queues[q.category] = queues[q.category] || []).push(q);
+    });
+    let categories = shuffle(Object.keys(queues));
+    const credit = {};
+    categories.forEach(category => { credit[category] = 0; });
+
+    const ordered = [];
+    while (categories.length > 0) {
+        const total = categories.reduce((sum, category) => sum + (weights[category] || 1), 0);
+        categories.forEach(category => { credit[category] += weights[category] || 1; });
+        const next = categories.reduce((best, category) => (credit[category] > credit[best] ? category : best));
+        credit[next] -= total;
+        ordered.push(queues[next].pop());
+        if (queues[next].length === 0) categories = categories.filter(category => category !== next);
+    }
+    return ordered;
+}
+
 // --- NEW: Get Time Attack Questions ---
 function getAttackModeQuestions(filteredByCategory, questionsToExclude = [], lenient = false) {
     const excludeIds = new Set(questionsToExclude.map(q => q.id));
     // Instead of filtering by difficulty, just use all available questions not excluded
-    const allQuestions = shuffle(filteredByCategory.filter(q => !excludeIds.has(q.id)));
+    let allQuestions = shuffle(filteredByCategory.filter(q => !excludeIds.has(q.id)));
+    // Lenient: with too few questions left, repeat the excluded ones rather than not playing
+    if (lenient && allQuestions.length < 1) allQuestions = shuffle(filteredByCategory.slice());
     if (allQuestions.length < 1) {
-        alert('Too few unique questions available for a full game. Please try "All Categories" or add more questions.');
+        alert(t('alert.tooFewQuestions', 'Too few unique questions available for a full game. Please pick more categories or add more questions.'));
         return null;
     }
     return allQuestions;
 }
 
+/**
+ * Fills the "Read the source" panel with links to a question's references
+ * @param {Object} question - The question that was just answered
+ */
+function renderSourcePanel(question) {
+    sourcePanel.innerHTML = '';
+    const refs = (question && question.references) || [];
+    if (refs.length === 0) {
+        sourcePanel.style.display = 'none';
+        return;
+    }
+    const heading = document.createElement('p');
+    heading.className = 'source-panel-title';
+    heading.innerText = '📜 ' + t('source.readTheSource', 'Read the source');
+    sourcePanel.appendChild(heading);
+    const list = document.createElement('ul');
+    refs.forEach(ref => {
+        const li = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = getReferenceUrl(ref);
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.innerText = formatReference(ref);
+        li.appendChild(link);
+        list.appendChild(li);
+    });
+    sourcePanel.appendChild(list);
+    sourcePanel.style.display = 'block';
+}
+
 function clearOptions() {
     while (optionsDiv.firstChild) {
         optionsDiv.removeChild(optionsDiv.firstChild);
@@ -277,21 +439,23 @@ function clearOptions() {
 }
 
 function updateScore() {
-    scoreTeams.querySelector('div').children[0].innerText = `Blue: ${teamBlueScore}`;
+    scoreTeams.querySelector('div').children[0].innerText = t('score.blue', 'Blue: {score}', { score: teamBlueScore });
     scoreTeams.querySelector('div').children[1].innerText = `${currentQuestionIndex + 1} / ${questions.length}`;
-    scoreTeams.querySelector('div').children[2].innerText = `Black: ${teamBlackScore}`;
+    scoreTeams.querySelector('div').children[2].innerText = t('score.black', 'Black: {score}', { score: teamBlackScore });
 }
 
 function updateSoloStats() {
-    scoreSolo.children[0].innerText = `Score: ${playerScore}`;
-    scoreSolo.children[1].innerText = `Streak: ${currentStreak}`;
-    scoreSolo.children[2].innerText = `${currentQuestionIndex + 1} / ${questions.length}`;
+    scoreSolo.children[0].innerText = t('score.solo', 'Score: {score}', { score: playerScore });
+    scoreSolo.children[1].innerText = t('score.streak', 'Streak: {streak}', { streak: currentStreak });
+    // Survival has no last question
+    scoreSolo.children[2].innerText = isSurvivalMode ? `#${currentQuestionIndex + 1}` : `${currentQuestionIndex + 1} / ${questions.length}`;
 }
 
 function resetState() {
     clearInterval(timer);
     nextBtn.style.display = 'none';
     clearOptions();
+    renderQuestionMedia(null, questionMediaDiv);
     timerDiv.classList.remove('low-time');
     stopTicking();
     const progressBar = document.getElementById('progress-bar');
@@ -326,10 +490,13 @@ function showFeedback(isCorrect) {
     Array.from(document.querySelectorAll('.comic-overlay')).forEach(el => el.remove());
     // Pick overlay
     const overlays = isCorrect ? RIGHT_OVERLAYS : WRONG_OVERLAYS;
-    const overlay = overlays[Math.floor(Math.random() * overlays.length)];
+    const index = Math.floor(Math.random() * overlays.length);
+    const overlay = overlays[index];
+    // Translated overlay words keep the colour and angle of the English word in the same position
+    const words = localizeList(isCorrect ? 'RIGHT_OVERLAYS' : 'WRONG_OVERLAYS', overlays.map(o => o.text));
     const word = document.createElement('div');
     word.classList.add('comic-overlay');
-    word.innerText = overlay.text;
+    word.innerText = words[index] || overlay.text;
     word.style.position = 'fixed';
     word.style.left = '50%';
     word.style.top = '50%';
@@ -422,21 +589,21 @@ function triggerComicAlarm() {
     setTimeout(() => panel.classList.remove('red-flash'), 400);
 }
 
-// --- Category Dropdown Population ---
 // --- Category Selection (will be initialized in DOMContentLoaded) ---
-let categoryDropdown;
+let categoryChips;
 
 // --- Faith Tokens and Power-Ups ---
 let doublePointsActive = false;
 let freezeTimeActive = false;
 // Removed revive-related variables
 const faithTokensDiv = document.getElementById('faith-tokens');
+const survivalLivesDiv = document.getElementById('survival-lives');
 const doublePointsBtn = document.getElementById('double-points-btn');
 const freezeTimeBtn = document.getElementById('freeze-time-btn');
 // Removed revive button reference
 
 function updateFaithTokens(animate = false) {
-    faithTokensDiv.innerText = `Faith Tokens: ${faithTokens}`;
+    faithTokensDiv.innerText = t('game.faithTokens', 'Faith Tokens: {count}', { count: faithTokens });
     doublePointsBtn.disabled = faithTokens < 1 || doublePointsActive;
     freezeTimeBtn.disabled = faithTokens < 1 || freezeTimeActive;
     // Removed revive button disabled state
@@ -502,6 +669,8 @@ wagerInput.parentNode.appendChild(wagerFeedback);
 
 let currentWager = 5;
 let maxWagerValue = 20;
+let minWagerValue = 1; // The Final Question allows a wager of nothing
+let isSecretWager = false; // Team wagers for the Final Question are hidden from the other team
 
 /**
  * Updates the wager feedback display with risk level information
@@ -509,21 +678,27 @@ let maxWagerValue = 20;
  * Changes color and text based on the percentage of maximum wager
  */
 function updateWagerFeedback() {
+    if (isSecretWager) {
+        // The risk level would give the wager away
+        wagerFeedback.style.color = '#ffd700';
+        wagerFeedback.textContent = t('wager.secret', 'Secret wager (up to {max})', { max: maxWagerValue });
+        return;
+    }
     // Calculate risk level based on percentage of max
-    const riskPercentage = (currentWager / maxWagerValue) * 100;
+    const riskPercentage = maxWagerValue > 0 ? (currentWager / maxWagerValue) * 100 : 0;
     let riskLevel = '';
     
     if (riskPercentage <= 25) {
-        riskLevel = 'Low Risk';
+        riskLevel = t('wager.low', 'Low Risk');
         wagerFeedback.style.color = '#4caf50'; // Green
     } else if (riskPercentage <= 50) {
-        riskLevel = 'Moderate Risk';
+        riskLevel = t('wager.moderate', 'Moderate Risk');
         wagerFeedback.style.color = '#ff9800'; // Orange
     } else if (riskPercentage <= 75) {
-        riskLevel = 'High Risk';
+        riskLevel = t('wager.high', 'High Risk');
         wagerFeedback.style.color = '#ff5722'; // Deep Orange
     } else {
-        riskLevel = 'Extreme Risk!';
+        riskLevel = t('wager.extreme', 'Extreme Risk!');
         wagerFeedback.style.color = '#f44336'; // Red
     }
     
@@ -543,14 +718,14 @@ wagerInput.addEventListener('input', () => {
     
     // Handle empty or invalid input
     if (wagerInput.value === '' || isNaN(val)) {
-        val = 1;
-        wagerInput.value = '1';
+        val = minWagerValue;
+        wagerInput.value = minWagerValue.toString();
     }
     
     // Enforce min/max constraints
-    if (val < 1) {
-        val = 1;
-        wagerInput.value = '1';
+    if (val < minWagerValue) {
+        val = minWagerValue;
+        wagerInput.value = minWagerValue.toString();
     }
     
     if (val > maxWagerValue) {
@@ -565,8 +740,8 @@ wagerInput.addEventListener('input', () => {
 // Add a blur event to ensure valid value when focus leaves the input
 wagerInput.addEventListener('blur', () => {
     if (wagerInput.value === '' || isNaN(parseInt(wagerInput.value, 10))) {
-        wagerInput.value = '1';
-        currentWager = 1;
+        wagerInput.value = minWagerValue.toString();
+        currentWager = minWagerValue;
         updateWagerFeedback();
     }
 });
@@ -655,26 +830,6 @@ const CATEGORY_ICONS = {
     'The Great Controversy': '⚔️'
 };
 
-// Fun facts, Bible verses, and health tips
-const FUN_FACTS = [
-    // Bible Verses
-    '“I can do all things through Christ who strengthens me.” — Philippians 4:13',
-    '“Trust in the Lord with all your heart and lean not on your own understanding.” — Proverbs 3:5',
-    '“Beloved, I pray that you may prosper in all things and be in health, just as your soul prospers.” — 3 John 1:2',
-    // Health Tips
-    '🥗 Health Tip: Drinking enough water each day is crucial for many reasons: to regulate body temperature, keep joints lubricated, and deliver nutrients to cells.',
-    '🥦 Health Tip: Eating a variety of colorful fruits and vegetables helps your body get a wide range of nutrients.',
-    '🚶‍♂️ Health Tip: Just 30 minutes of walking a day can boost your mood and improve your health.',
-    // Fun Facts
-    '🌍 Fun Fact: The Seventh-day Adventist Church operates one of the largest Protestant educational systems in the world.',
-    '🎵 Fun Fact: Music can reduce anxiety, blood pressure, and pain as well as improve sleep quality, mood, and memory.',
-    '⏳ Fun Fact: The "Great Disappointment" of 1844 led to the formation of the Adventist movement.'
-];
-
-function getRandomFunFact() {
-    return FUN_FACTS[Math.floor(Math.random() * FUN_FACTS.length)];
-}
-
 // Encouragement messages
 const ENCOURAGEMENTS_CORRECT = [
     "You're unstoppable!",
@@ -701,7 +856,9 @@ const ENCOURAGEMENTS_INCORRECT = [
     "Keep your cape on—next one's yours!"
 ];
 function getRandomEncouragement(isCorrect) {
-    const arr = isCorrect ? ENCOURAGEMENTS_CORRECT : ENCOURAGEMENTS_INCORRECT;
+    const arr = isCorrect
+        ? localizeList('ENCOURAGEMENTS_CORRECT', ENCOURAGEMENTS_CORRECT)
+        : localizeList('ENCOURAGEMENTS_INCORRECT', ENCOURAGEMENTS_INCORRECT);
     return arr[Math.floor(Math.random() * arr.length)];
 }
 
@@ -773,13 +930,13 @@ function calculateStars(stats) {
 }
 
 function getStarExplanation(stars) {
-  const explanations = [
+  const explanations = localizeList('STAR_EXPLANATIONS', [
     'Beginner – Needs improvement.',
     'Learner – Some knowledge, keep practicing.',
     'Competent – Good performance, above average.',
     'Expert – Excellent knowledge and consistency.',
     'Master – Outstanding, near-perfect play.'
-  ];
+  ]);
   return explanations[stars - 1] || '';
 }
 
@@ -811,17 +968,38 @@ const audioElements = [
     'audio-transition', 'audio-transition2'
 ].map(id => document.getElementById(id)).filter(Boolean);
 
-function preloadAudioAssets(onProgress, onComplete) {
+/**
+ * Loads audio elements (and question images, see question-media.js), reporting progress
+ * @param {Function} onProgress - Called with the percentage loaded
+ * @param {Function} onComplete - Called once everything has loaded
+ * @param {HTMLMediaElement[]|HTMLImageElement[]} [elements] - Defaults to the game sounds
+ */
+function preloadAudioAssets(onProgress, onComplete, elements = audioElements) {
     let loaded = 0;
-    const total = audioElements.length;
-    audioElements.forEach(audio => {
-        audio.oncanplaythrough = () => {
+    const total = elements.length;
+    if (total === 0) {
+        onComplete();
+        return;
+    }
+    elements.forEach(element => {
+        let done = false;
+        const markLoaded = () => {
+            if (done) return;
+            done = true;
             loaded++;
             onProgress(Math.round((loaded/total)*100));
             if (loaded === total) onComplete();
         };
+        // A file that fails to load must not hold up the game
+        element.addEventListener('error', markLoaded, { once: true });
+        if (element instanceof HTMLImageElement) {
+            if (element.complete) markLoaded();
+            element.addEventListener('load', markLoaded, { once: true });
+            return;
+        }
+        element.addEventListener('canplaythrough', markLoaded, { once: true });
         // Start loading
-        audio.load();
+        element.load();
     });
 }
 
@@ -833,11 +1011,12 @@ preloadAudioAssets(setLoadingProgress, () => {
 
 // --- Refactor: Cache DOM queries for options/buttons ---
 // (Example: in showQuestion, batch create option buttons and use fragment)
-const createOptionButtons = (options, onClick) => {
+const createOptionButtons = (question, options, onClick) => {
     const frag = document.createDocumentFragment();
     options.forEach(option => {
         const btn = document.createElement('button');
-        btn.innerText = option;
+        btn.innerText = getOptionLabel(question, option);
+        btn.dataset.option = option;
         btn.onclick = onClick;
         frag.appendChild(btn);
     });
@@ -847,27 +1026,196 @@ const createOptionButtons = (options, onClick) => {
 // --- DOMContentLoaded for all DOM queries and listeners ---
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize DOM elements
-    categoryDropdown = document.getElementById('category-dropdown');
+    categoryChips = document.getElementById('category-chips');
     
-    // Category Dropdown Population
-    let categories = Array.from(new Set(gameQuestions.map(q => q.category)));
-    categories = categories.filter(cat => cat && cat !== 'undefined');
-    if (categoryDropdown) {
-        categoryDropdown.innerHTML = '<option value="All">All Categories</option>' +
-            categories.map(cat => `<option value="${cat}">${cat}</option>`).join('');
+    const sourceDropdown = document.getElementById('source-dropdown');
+    const tagDropdown = document.getElementById('tag-dropdown');
+
+    /**
+     * Reads the category chips on the start screen.
+     * @returns {Object|null} - Map of each checked category to its weight, or null when
+     *   no category is checked (play all categories, drawn in proportion to their size)
+     */
+    function getCategoryWeights() {
+        if (!categoryChips) return null;
+        const weights = {};
+        categoryChips.querySelectorAll('.category-chip').forEach(chip => {
+            const checkbox = chip.querySelector('input[type="checkbox"]');
+            if (checkbox.checked) {
+                weights[checkbox.value] = parseInt(chip.querySelector('.category-chip-weight').value, 10) || 1;
+            }
+        });
+        return Object.keys(weights).length > 0 ? weights : null;
+    }
+
+    // Category Chips Population (one checkbox chip per category, with its question count)
+    window.populateCategoryChips = function() {
+        if (!categoryChips) return;
+        const previous = getCategoryWeights() || {};
+        const counts = {};
+        gameQuestions.forEach(q => {
+            if (q.category && q.category !== 'undefined') counts[q.category] = (counts[q.category] || 0) + 1;
+        });
+        categoryChips.innerHTML = '';
+        Object.keys(counts).forEach(category => {
+            const chip = document.createElement('div');
+            chip.className = 'category-chip';
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = category;
+            checkbox.checked = category in previous;
+            const count = document.createElement('span');
+            count.className = 'category-chip-count';
+            count.innerText = counts[category];
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${CATEGORY_ICONS[category] || ''} ${localizeCategory(category)} `));
+            label.appendChild(count);
+
+            // Weight only matters once the category is picked
+            const weight = document.createElement('select');
+            weight.className = 'category-chip-weight';
+            weight.setAttribute('aria-label', t('start.categoryWeight', 'Weight for {category}', { category: localizeCategory(category) }));
+            weight.title = t('start.categoryWeightTitle', 'How often this category comes up compared to the other picked ones');
+            weight.innerHTML = [1, 2, 3].map(n => `<option value="${n}">×${n}</option>`).join('');
+            weight.value = String(previous[category] || 1);
+
+            const updateChip = () => {
+                chip.classList.toggle('selected', checkbox.checked);
+                weight.style.display = checkbox.checked ? '' : 'none';
+            };
+            checkbox.addEventListener('change', updateChip);
+            updateChip();
+
+            chip.appendChild(label);
+            chip.appendChild(weight);
+            categoryChips.appendChild(chip);
+        });
+    };
+
+    // Source Dropdown Population (Bible books and Ellen G. White books cited by questions)
+    function populateSourceDropdown() {
+        if (!sourceDropdown) return;
+        const previous = sourceDropdown.value;
+        const sources = getReferenceSources(gameQuestions);
+        const toOptions = list => list.map(src => `<option value="${src.key}">${src.label} (${src.count})</option>`).join('');
+        sourceDropdown.innerHTML = `<option value="All">${t('start.anySource', 'Any Source')}</option>` +
+            `<optgroup label="${t('start.sourceBible', 'Bible')}">${toOptions(sources.filter(src => src.key.startsWith('bible:')))}</optgroup>` +
+            `<optgroup label="Ellen G. White">${toOptions(sources.filter(src => src.key.startsWith('egw:')))}</optgroup>`;
+        if (sources.some(src => src.key === previous)) sourceDropdown.value = previous;
+    }
+
+    // Tag Dropdown Population (finer topics than categories, see question-tags.js)
+    function populateTagDropdown() {
+        if (!tagDropdown) return;
+        const previous = tagDropdown.value;
+        const tags = getQuestionTagCounts(gameQuestions);
+        tagDropdown.innerHTML = `<option value="All">${t('start.anyTag', 'Any Topic')}</option>` +
+            tags.map(({ tag, count }) => `<option value="${tag}">${localizeTag(tag)} (${count})</option>`).join('');
+        if (tags.some(({ tag }) => tag === previous)) tagDropdown.value = previous;
+    }
+
+    // Re-derive everything the start screen filters on after the question pool changes
+    window.refreshQuestionFilters = function() {
+        backfillQuestionReferences(gameQuestions);
+        backfillQuestionTags(gameQuestions);
+        populateCategoryChips();
+        populateTagDropdown();
+        populateSourceDropdown();
+        renderStudyDueSummary();
+        renderDailyChallengeSummary();
+        renderCustomQuizButtons();
+        renderLessonOfWeek();
+    };
+    refreshQuestionFilters();
+
+    // Wait for the string catalog, validate the built-in bank, merge question packs (English and
+    // the chosen language), translations and local editor changes, then refresh filters
+    localeReady
+        .then(() => loadQuestionPacks())
+        .then(() => (currentLanguage !== DEFAULT_LANGUAGE ? loadQuestionPacks(currentLanguage) : null))
+        .then(() => loadQuestionTranslations(currentLanguage))
+        .then(() => applyLocalQuestionEdits(gameQuestions))
+        .then(refreshQuestionFilters);
+
+    const difficultySelect = document.getElementById('difficulty-select');
+
+    // Adaptive ratings are kept per player profile; in team games each team is a profile
+    function getAdaptiveProfile() {
+        if (gameMode === 'teams') return `${currentTeam} team`;
+        return localStorage.getItem('playerName') || 'Guest';
+    }
+
+    /**
+     * Returns the questions matching the start screen filters (checked categories, tag, source
+     * and, unless Mixed or Balanced is chosen, difficulty)
+     * @param {boolean} [anyDifficulty] - Ignore the difficulty setting (for modes that pick it themselves)
+     * @returns {Object[]} - A new array of matching questions, in ID order
+     */
+    function getAvailableQuestions(anyDifficulty = false) {
+        const weights = getCategoryWeights();
+        const selectedTag = tagDropdown ? tagDropdown.value : 'All';
+        const selectedSource = sourceDropdown ? sourceDropdown.value : 'All';
+        const selectedDifficulty = difficultySelect && !anyDifficulty ? difficultySelect.value : 'mixed';
+        // In ID order, so the same seed draws the same questions on every device
+        return sortQuestionsById(gameQuestions).filter(q =>
+            (!weights || q.category in weights) &&
+            questionMatchesTag(q, selectedTag) &&
+            questionMatchesSource(q, selectedSource) &&
+            (!DIFFICULTY_ORDER.includes(selectedDifficulty) || q.difficulty === selectedDifficulty));
     }
 
     // Show a random fun fact/verse/tip on the start screen
     const funFactBox = document.getElementById('fun-fact-box');
     if (funFactBox) {
-        funFactBox.innerText = getRandomFunFact();
+        localeReady.then(() => renderFunFact(funFactBox, getRandomFunFact()));
     }
     // --- Start Game ---
-    window.startGame = function(mode) {
+    /**
+     * Starts a game.
+     * @param {string} mode - 'solo', 'teams', 'study' or 'daily'
+     * @param {Object} [quiz] - A saved custom quiz to play instead of questions picked by the
+     *   start screen filters
+     */
+    window.startGame = function(mode, quiz = null) {
+        if (mode === 'daily' && hasPlayedDailyChallenge(getDailyChallengeKey())) {
+            alert(t('alert.dailyPlayed', "You've already played today's Daily Challenge. Come back tomorrow!"));
+            renderDailyChallengeSummary();
+            return;
+        }
         ensureUserInteraction();
         playSound(audioRiser);
         setTimeout(playBgMusic, 800);
-        gameMode = mode;
+        // Study mode plays like a solo game without wagers or timers
+        isStudyMode = mode === 'study';
+        // The Daily Challenge is a solo game that ignores the start screen filters
+        isDailyChallenge = mode === 'daily';
+        dailyChallengeKey = isDailyChallenge ? getDailyChallengeKey() : null;
+        // Survival is a solo game that lasts as long as the player's lives
+        isSurvivalMode = mode === 'survival';
+        // The category board is a team game played tile by tile
+        isBoardMode = mode === 'board';
+        gameMode = isStudyMode || isDailyChallenge || isSurvivalMode ? 'solo' : isBoardMode ? 'teams' : mode;
+        customQuiz = quiz;
+        wagersEnabled = !isStudyMode && !(customQuiz && !customQuiz.rules.wagers);
+        // Daily Challenges, custom quizzes and games from a code have a fixed set of questions
+        const timeAttackCheckbox = document.getElementById('time-attack-checkbox');
+        isTimeAttackMode = Boolean(timeAttackCheckbox && timeAttackCheckbox.checked) &&
+            !isStudyMode && !isDailyChallenge && !isSurvivalMode && !isBoardMode && !customQuiz && !pendingGameSeed;
+        timeAttackLimit = getTimeAttackLimit();
+        // Buzz-in replaces the turns of a regular team game
+        const buzzInCheckbox = document.getElementById('buzz-in-checkbox');
+        isBuzzInMode = Boolean(buzzInCheckbox && buzzInCheckbox.checked) && gameMode === 'teams' &&
+            !isTimeAttackMode && !isBoardMode;
+        buzzInKeys = getBuzzInKeys();
+        buzzOpen = false;
+        teamTurnIndicator.style.display = 'none';
+        // Seed every game so it can be replayed from its game code
+        const seed = isDailyChallenge ? getDailyChallengeSeed(dailyChallengeKey) : pendingGameSeed || createGameSeed();
+        pendingGameSeed = null;
+        setGameSeed(seed);
+        gameCode = null;
         playerScore = 0;
         currentStreak = 0;
         longestStreak = 0;
@@ -879,31 +1227,27 @@ document.addEventListener('DOMContentLoaded', () => {
         doublePointsActive = false;
         freezeTimeActive = false;
         timeRanOut = false; // Reset time out flag
+        timeAttackAttempted = 0;
+        clearTimeout(nextQuestionTimeout);
         // --- NEW FOR SEQUENTIAL TEAM TIME ATTACK ---
         timeAttackTeamTurn = 'blue'; // Always start with blue team
         timeAttackBlueTeamFinalScore = 0;
         blueTeamQuestions = []; // Reset blue team questions
+        finalRoundPlayed = false;
+        endFinalRound();
+        currentBoardTile = null;
+        boardDiv.style.display = 'none';
 
-        // --- NEW: CHECK FOR TIME ATTACK MODE ---
-        isTimeAttackMode = false; // Force disable time attack mode
-
-        // Filter questions by category first
-        const selectedCategory = categoryDropdown.value;
-        let availableQuestions;
-        if (selectedCategory === 'All') {
-            availableQuestions = shuffle([...gameQuestions]);
-        } else {
-            availableQuestions = shuffle(gameQuestions.filter(q => q.category === selectedCategory));
-        }
+        // Filter questions by category and source first, then order them by category weight
+        let availableQuestions = interleaveByCategoryWeight(getAvailableQuestions(), getCategoryWeights());
+        isAdaptiveMode = !isStudyMode && !isDailyChallenge && !isSurvivalMode && !isBoardMode && !customQuiz && difficultySelect && difficultySelect.value === 'adaptive';
+        adaptivePool = availableQuestions;
+        adaptiveStartRating = isAdaptiveMode ? getAdaptivePlayer(getAdaptiveProfile()).rating : null;
 
         if (isTimeAttackMode) {
             questions = getAttackModeQuestions(availableQuestions, [], false);
             if (questions === null) return; // Stop if not enough questions
-            // SAVE BLUE TEAM'S QUESTIONS FOR EXCLUSION LATER
-            if (gameMode === 'teams') {
-                blueTeamQuestions = [...questions]; // Save a copy of blue team's questions
-                console.log('Blue team questions saved:', blueTeamQuestions.map(q => q.id));
-            }
+            questions = interleaveByCategoryWeight(questions, getCategoryWeights());
             gameQuestionCount = questions.length;
             maxWagerValue = 20; // Higher stakes
             currentWager = 10;
@@ -913,21 +1257,79 @@ document.addEventListener('DOMContentLoaded', () => {
             if (gameLengthSelect && !isNaN(parseInt(gameLengthSelect.value, 10))) {
                 numQuestions = parseInt(gameLengthSelect.value, 10);
             }
-            questions = shuffle(availableQuestions).slice(0, numQuestions);
+            if (customQuiz) {
+                questions = getCustomQuizQuestions(customQuiz, gameQuestions);
+                if (customQuiz.rules.shuffleQuestions) shuffle(questions);
+                numQuestions = questions.length;
+            } else if (isDailyChallenge) {
+                questions = getDailyChallengeQuestions(gameQuestions, dailyChallengeKey);
+                numQuestions = questions.length;
+            } else if (isStudyMode) {
+                const weights = getCategoryWeights();
+                questions = getDueStudyQuestions(gameQuestions.filter(q =>
+                    !weights || q.category in weights)).slice(0, numQuestions);
+            } else if (isBoardMode) {
+                // The tile values pick the difficulty; each tile picked queues its question
+                categoryBoard = buildBoard(getAvailableQuestions(true));
+                questions = [];
+                numQuestions = categoryBoard ? categoryBoard.categories.length * BOARD_VALUES.length : 0;
+            } else if (isSurvivalMode) {
+                // Survival picks its own difficulty; each answer queues the next question
+                survivalPool = getAvailableQuestions(true);
+                const first = getNextSurvivalQuestion(survivalPool, []);
+                questions = first ? [first] : [];
+                survivalStartLives = getSurvivalLives();
+                survivalLives = survivalStartLives;
+                numQuestions = 0;
+            } else if (difficultySelect && difficultySelect.value === 'balanced') {
+                questions = buildBalancedRound(availableQuestions, numQuestions);
+            } else if (isAdaptiveMode) {
+                // Placeholders: showQuestion swaps in the best-matched question for each slot
+                questions = availableQuestions.slice(0, numQuestions);
+            } else {
+                questions = availableQuestions.slice(0, numQuestions);
+            }
+            // Only games picked by the settings a code holds can be replayed from one
+            const replayable = !isDailyChallenge && !isStudyMode && !isSurvivalMode && !isBoardMode && !isAdaptiveMode && !customQuiz &&
+                (!tagDropdown || tagDropdown.value === 'All') && (!sourceDropdown || sourceDropdown.value === 'All');
+            if (replayable) {
+                gameCode = encodeGameCode({
+                    seed,
+                    length: numQuestions,
+                    difficulty: difficultySelect ? difficultySelect.value : 'mixed',
+                    categories: getCategoryWeights()
+                });
+            }
             gameQuestionCount = numQuestions;
             maxWagerValue = 20;
             currentWager = 5;
         }
 
-        if (questions.length === 0) {
-            alert('No questions found for this category!');
+        if (isBoardMode && !categoryBoard) {
+            alert(t('alert.noBoard', 'A board needs a category with at least {count} questions. Try other categories, topics or sources!', { count: BOARD_VALUES.length }));
             return;
         }
+        if (questions.length === 0 && !isBoardMode) {
+            alert(isStudyMode
+                ? t('alert.noStudyQuestions', 'No questions are due for review in this category. Check back later!')
+                : t('alert.noQuestions', 'No questions found for this category, topic, source and difficulty!'));
+            return;
+        }
+        if (isDailyChallenge) startDailyChallenge(dailyChallengeKey, questions.length);
         
+        preloadQuestionMedia(isAdaptiveMode ? adaptivePool
+            : isBoardMode ? [].concat(...categoryBoard.tiles).map(tile => tile.question)
+            : questions);
         gameStartTime = Date.now();
         wagerInput.value = currentWager;
         updateWagerFeedback();
         updateFaithTokens();
+        survivalLivesDiv.style.display = isSurvivalMode ? '' : 'none';
+        if (isSurvivalMode) renderSurvivalLives(survivalLivesDiv, survivalLives, survivalStartLives);
+        document.getElementById('wager-container').style.display = wagersEnabled && !isBuzzInMode ? 'flex' : 'none';
+        // Power-ups belong to a team's turn, and buzz-in questions have no turns
+        document.querySelector('.game-tools').style.display = (customQuiz && !customQuiz.rules.powerUps) || isBuzzInMode ? 'none' : 'flex';
+        timerDiv.parentElement.style.display = isStudyMode ? 'none' : '';
 
         slideOut(container, () => slideIn(gameDiv));
         gameDiv.classList.add('active');
@@ -949,11 +1351,15 @@ document.addEventListener('DOMContentLoaded', () => {
             startGlobalTimer();
         }
         
-        showQuestion();
+        if (isBoardMode) showBoard();
+        else showQuestion();
         exitBtn.style.display = 'block';
         exitBtn.onclick = () => {
             // Optional confirmation for mid-game exits
-            if (gameDiv.style.display !== 'none' && currentQuestionIndex > 0 && !confirm('Are you sure you want to exit? Progress will be lost.')) {
+            const exitMessage = isDailyChallenge
+                ? t('confirm.exitDaily', "Are you sure you want to exit? Today's Daily Challenge will still count as played.")
+                : t('confirm.exit', 'Are you sure you want to exit? Progress will be lost.');
+            if (gameDiv.style.display !== 'none' && currentQuestionIndex > 0 && !confirm(exitMessage)) {
                 return;
             }
 
@@ -962,6 +1368,7 @@ document.addEventListener('DOMContentLoaded', () => {
             stopTicking();
             if (isTimeAttackMode) {
                 stopGlobalTimer();
+                clearTimeout(nextQuestionTimeout);
             }
 
             // Reset all game state and UI
@@ -986,6 +1393,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Hide exit button
             exitBtn.style.display = 'none';
+            renderStudyDueSummary();
+            renderDailyChallengeSummary();
 
             // Stop music
             pauseBgMusic();
@@ -1010,9 +1419,12 @@ document.addEventListener('DOMContentLoaded', () => {
             doublePointsActive = false;
             freezeTimeActive = false;
             timeRanOut = false;
+            timeAttackAttempted = 0;
             timeAttackTeamTurn = 'blue';
             timeAttackBlueTeamFinalScore = 0;
             blueTeamQuestions = [];
+            endFinalRound();
+            buzzOpen = false;
 
             // Hide encouragement message if present
             const encouragementDiv = document.getElementById('encouragement-message');
@@ -1021,7 +1433,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Show a new fun fact on the start screen when returning
         const funFactBox = document.getElementById('fun-fact-box');
         if (funFactBox) {
-            funFactBox.innerText = getRandomFunFact();
+            renderFunFact(funFactBox, getRandomFunFact());
         }
     };
 
@@ -1038,7 +1450,7 @@ document.addEventListener('DOMContentLoaded', () => {
             btn.classList.remove('hint-highlight', 'option-removed');
         });
         // Lightning round logic
-        isLightningRound = (currentQuestionIndex > 0 && currentQuestionIndex % roundSize === 0);
+        isLightningRound = (!isBoardMode && currentQuestionIndex > 0 && currentQuestionIndex % roundSize === 0);
         
         // Dynamic wager limits based on game state
         TIME_LIMIT = 20;
@@ -1085,25 +1497,55 @@ document.addEventListener('DOMContentLoaded', () => {
                 currentTeam = (currentQuestionIndex % 2 === 0) ? 'blue' : 'black';
             }
         }
+        if (isBoardMode && currentBoardTile && currentBoardTile.dailyDouble) {
+            // A Daily Double is the only board question with a wager
+            maxWagerValue = getDailyDoubleLimit(currentTeam === 'blue' ? teamBlueScore : teamBlackScore);
+            wagerInput.max = maxWagerValue;
+            wagerInput.value = Math.min(currentBoardTile.value, maxWagerValue);
+            currentWager = parseInt(wagerInput.value, 10);
+            updateWagerFeedback();
+        }
+        if (isAdaptiveMode && questions[currentQuestionIndex]) {
+            const asked = new Set(questions.slice(0, currentQuestionIndex).map(q => q.id));
+            const next = pickAdaptiveQuestion(adaptivePool.filter(q => !asked.has(q.id)), getAdaptiveProfile());
+            if (next) questions[currentQuestionIndex] = next;
+        }
         if (!questions[currentQuestionIndex]) {
             showEndScreen();
             return;
         }
         const question = questions[currentQuestionIndex];
+        // A custom quiz can set one time limit for all of its questions
+        const baseTimeLimit = customQuiz && customQuiz.rules.timeLimit ? customQuiz.rules.timeLimit : getQuestionTimeLimit(question);
+        TIME_LIMIT = baseTimeLimit + getQuestionMediaExtraTime(question);
+        renderQuestionMedia(question, questionMediaDiv);
         // Add category icon/badge
         const icon = CATEGORY_ICONS[question.category] || '';
         questionDiv.innerHTML = `<span class='category-badge'>${icon}</span> ${question.question}`;
-        const shuffledOptions = shuffle(question.options);
         optionsDiv.innerHTML = '';
-        optionsDiv.appendChild(createOptionButtons(shuffledOptions, selectAnswer));
+        optionsDiv.dataset.type = getQuestionType(question);
+        if (isChoiceQuestion(question)) {
+            // True/False keeps its natural order
+            const options = getQuestionType(question) === 'true-false' ? getQuestionOptions(question) : shuffle(question.options.slice());
+            optionsDiv.appendChild(createOptionButtons(question, options, selectAnswer));
+        } else {
+            renderAnswerInput(question, optionsDiv, selectAnswer);
+        }
+        // Take Away Two needs four options to choose from
+        takeawayBtn.disabled = getQuestionType(question) !== 'multiple-choice' || question.options.length < 4;
+        if (isBuzzInMode) openBuzz();
         if (gameMode === 'solo') updateSoloStats();
         else updateScoreDisplay();
-        // START PER-QUESTION TIMER ONLY IF NOT IN TIME ATTACK
-        if (!isTimeAttackMode) {
+        // START PER-QUESTION TIMER ONLY IF NOT IN TIME ATTACK OR STUDY MODE
+        if (!isTimeAttackMode && !isStudyMode) {
             startTimer();
         }
+        questionStartTime = Date.now();
+        hintUsedOnQuestion = false;
+        takeawayUsedOnQuestion = false;
         explanationDiv.style.display = 'none';
         explanationDiv.innerText = '';
+        sourcePanel.style.display = 'none';
         // Set prophecy mode if needed
         const currentQ = questions[currentQuestionIndex];
         if (currentQ && (currentQ.category === 'Prophecy' || currentQ.category === 'The Great Controversy')) {
@@ -1155,18 +1597,28 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Select Answer ---
     window.selectAnswer = function(e) {
+        // The clock ran out while the last question was still on screen
+        if (isTimeAttackMode && timeRanOut) return;
+        // Buzz-in answers only count from the team that has the question
+        if (isBuzzInMode && !buzzedTeam) return;
         if (!isTimeAttackMode) {
             stopTicking();
             clearInterval(timer);
         }
 
         const selectedBtn = e.target;
-        const correct = selectedBtn.innerText === questions[currentQuestionIndex].answer;
+        const question = questions[currentQuestionIndex];
+        const response = readAnswerResponse(question, optionsDiv, selectedBtn);
+        const correct = gradeAnswer(question, response);
+        timeAttackAttempted++;
         showFeedback(correct);
         
-        let wager = parseInt(wagerInput.value, 10) || 1;
+        let wager = wagersEnabled ? (parseInt(wagerInput.value, 10) || 1) : 1;
+        if (isBoardMode && !currentBoardTile.dailyDouble) wager = currentBoardTile.value;
+        if (isBuzzInMode) wager = BUZZ_IN_POINTS;
         const isFriday = (new Date().getDay() === 5);
-        if (isFriday) wager *= 2;
+        // Buzz-in keeps its fixed value, which a timed-out buzz also costs (see handleBuzzTimeUp)
+        if (isFriday && !isStudyMode && !isBuzzInMode) wager *= 2;
 
         if (correct) {
             playCorrectSound();
@@ -1184,14 +1636,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (currentTeam === 'blue') teamBlueScore += points;
                 else teamBlackScore += points;
             }
-            selectedBtn.classList.add('correct');
-            selectedBtn.style.transform = 'scale(1.05)';
-            setTimeout(() => {
-                selectedBtn.style.transform = '';
-            }, 300);
+            if (isChoiceQuestion(question)) {
+                selectedBtn.classList.add('correct');
+                selectedBtn.style.transform = 'scale(1.05)';
+                setTimeout(() => {
+                    selectedBtn.style.transform = '';
+                }, 300);
+            }
         } else {
             playSound(audioWrong);
-            shakeElement(selectedBtn);
+            shakeElement(isChoiceQuestion(question) ? selectedBtn : optionsDiv);
             if (gameMode === 'solo') {
                 playerScore = Math.max(0, playerScore - wager);
                 currentStreak = 0;
@@ -1200,33 +1654,68 @@ document.addEventListener('DOMContentLoaded', () => {
                 else teamBlackScore = Math.max(0, teamBlackScore - wager);
                 currentStreak = 0;
             }
-            selectedBtn.classList.add('incorrect');
-            // Show correct answer with highlight
-            Array.from(optionsDiv.children).forEach(btn => {
-                if (btn.innerText === questions[currentQuestionIndex].answer) {
-                    btn.classList.add('correct', 'highlight-correct');
-                }
-            });
+            if (isChoiceQuestion(question)) selectedBtn.classList.add('incorrect');
         }
+        if (isSurvivalMode) advanceSurvival(correct);
         
         if (gameMode === 'solo') updateSoloStats();
         else updateScoreDisplay();
 
         doublePointsActive = false;
 
-        Array.from(optionsDiv.children).forEach(btn => {
-            if (btn.innerText === questions[currentQuestionIndex].answer) btn.classList.add('correct', 'highlight-correct');
-            btn.disabled = true;
-        });
+        // A missed buzz-in question goes to the other team, if it has not tried yet
+        if (isBuzzInMode && !correct && passBuzz(currentTeam)) return;
+        buzzOpen = false;
+
+        // Recorded once the question is over, so a passed buzz-in question counts once
+        const secondsTaken = questionStartTime ? (Date.now() - questionStartTime) / 1000 : TIME_LIMIT;
+        answerTimes.push(secondsTaken);
+        if (isAdaptiveMode) {
+            recordAdaptiveResult(getAdaptiveProfile(), question, correct, secondsTaken, TIME_LIMIT);
+        }
+        if (isStudyMode) {
+            recordStudyResult(question, correct);
+        } else {
+            if (!correct) recordMissedQuestion(question);
+            // Study mode replays missed questions, which would skew the stats
+            recordQuestionStat(question, {
+                correct,
+                response,
+                seconds: secondsTaken,
+                timeLimit: TIME_LIMIT,
+                hint: hintUsedOnQuestion,
+                takeaway: takeawayUsedOnQuestion
+            });
+        }
+
+        // Show the correct answer with highlight and lock the controls
+        revealAnswer(question, optionsDiv, response);
 
         const currentQ = questions[currentQuestionIndex];
-        if (currentQ.explanation) {
-            explanationDiv.innerText = '💡 ' + currentQ.explanation;
-            explanationDiv.style.display = 'block';
+        explanationDiv.innerText = currentQ.explanation ? '💡 ' + currentQ.explanation : '';
+        if (!correct) {
+            getPickedOptionExplanations(currentQ, response).forEach(({ option, explanation }) => {
+                const why = document.createElement('p');
+                why.className = 'option-explanation';
+                why.innerText = '❌ ' + t('game.whyNotOption', 'Why not "{option}"? {explanation}', { option, explanation });
+                explanationDiv.appendChild(why);
+            });
+        }
+        // Time Attack moves on by itself, so there is no time to fill in a report
+        if (!isTimeAttackMode) {
+            explanationDiv.appendChild(createQuestionReportAction(currentQ, {
+                mode: isStudyMode ? 'study' : isDailyChallenge ? 'daily' : gameMode,
+                difficulty: difficultySelect ? difficultySelect.value : 'mixed',
+                language: currentLanguage,
+                response: Array.isArray(response) ? response.join(', ') : response,
+                correct
+            }));
         }
+        explanationDiv.style.display = explanationDiv.hasChildNodes() ? 'block' : 'none';
+        renderSourcePanel(currentQ);
 
         if (isTimeAttackMode) {
-            setTimeout(handleEndOfQuestion, 1500);
+            nextQuestionTimeout = setTimeout(handleEndOfQuestion, 1500);
         } else {
             nextBtn.style.display = 'block';
         }
@@ -1246,18 +1735,30 @@ document.addEventListener('DOMContentLoaded', () => {
         teamTurnIndicator.style.display = 'block'; // Make it visible
         if (isTimeAttackMode && gameMode === 'teams') {
             if (timeAttackTeamTurn === 'black') {
-                teamTurnIndicator.innerText = "Black Team's Turn!";
-                blueScoreEl.innerText = `Blue's Final: ${timeAttackBlueTeamFinalScore}`;
-                blackScoreEl.innerText = `Black: ${teamBlackScore}`;
+                teamTurnIndicator.innerText = t('game.blackTurn', "Black Team's Turn!");
+                blueScoreEl.innerText = t('score.blueFinal', "Blue's Final: {score}", { score: timeAttackBlueTeamFinalScore });
+                blackScoreEl.innerText = t('score.black', 'Black: {score}', { score: teamBlackScore });
             } else {
-                teamTurnIndicator.innerText = "Blue Team's Turn!";
-                blueScoreEl.innerText = `Blue: ${teamBlueScore}`;
-                blackScoreEl.innerText = `Black: ${teamBlackScore}`;
+                teamTurnIndicator.innerText = t('game.blueTurn', "Blue Team's Turn!");
+                blueScoreEl.innerText = t('score.blue', 'Blue: {score}', { score: teamBlueScore });
+                blackScoreEl.innerText = t('score.black', 'Black: {score}', { score: teamBlackScore });
             }
+        } else if (isBuzzInMode) {
+            // The indicator shows who has buzzed in (see renderBuzzIndicator)
+            blueScoreEl.innerText = t('score.blue', 'Blue: {score}', { score: teamBlueScore });
+            blackScoreEl.innerText = t('score.black', 'Black: {score}', { score: teamBlackScore });
+        } else if (isBoardMode) {
+            // The team whose turn it is picks the next tile
+            questionCountEl.innerText = t('board.tilesLeft', 'Tiles left: {count}', { count: countOpenBoardTiles(categoryBoard) });
+            teamTurnIndicator.innerText = currentTeam === 'blue'
+                ? t('game.blueTurn', "Blue Team's Turn!")
+                : t('game.blackTurn', "Black Team's Turn!");
+            blueScoreEl.innerText = t('score.blue', 'Blue: {score}', { score: teamBlueScore });
+            blackScoreEl.innerText = t('score.black', 'Black: {score}', { score: teamBlackScore });
         } else {
             teamTurnIndicator.style.display = 'none'; // Not needed for alternating questions
-            blueScoreEl.innerText = `Blue: ${teamBlueScore}`;
-            blackScoreEl.innerText = `Black: ${teamBlackScore}`;
+            blueScoreEl.innerText = t('score.blue', 'Blue: {score}', { score: teamBlueScore });
+            blackScoreEl.innerText = t('score.black', 'Black: {score}', { score: teamBlackScore });
         }
     }
 
@@ -1272,16 +1773,7 @@ document.addEventListener('DOMContentLoaded', () => {
             stopGlobalTimer();
             if (gameMode === 'teams' && timeAttackTeamTurn === 'blue') {
                 // Blue team finished, so save their score and show the intermission screen
-                timeAttackBlueTeamFinalScore = teamBlueScore;
-                document.getElementById('intermission-score').innerText = timeAttackBlueTeamFinalScore;
-                slideOut(gameDiv, () => {
-                    slideIn(document.getElementById('intermission-screen'));
-                    // Re-attach event listener every time intermission is shown
-                    const startNextTurnBtn = document.getElementById('start-next-turn-btn');
-                    if (startNextTurnBtn) {
-                        startNextTurnBtn.onclick = startNextTeamTurn;
-                    }
-                });
+                showIntermission();
             } else {
                 // It's a solo game or the Black team just finished, so go to the final results
                 showEndScreen();
@@ -1289,6 +1781,24 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Ends the Blue team's Time Attack turn: saves their score and the questions they saw (so
+     * the Black team gets others) and shows the intermission screen.
+     */
+    function showIntermission() {
+        timeAttackBlueTeamFinalScore = teamBlueScore;
+        blueTeamQuestions = questions.slice(0, currentQuestionIndex + 1);
+        document.getElementById('intermission-score').innerText = timeAttackBlueTeamFinalScore;
+        slideOut(gameDiv, () => {
+            slideIn(document.getElementById('intermission-screen'));
+            // Re-attach event listener every time intermission is shown
+            const startNextTurnBtn = document.getElementById('start-next-turn-btn');
+            if (startNextTurnBtn) {
+                startNextTurnBtn.onclick = startNextTeamTurn;
+            }
+        });
+    }
+
     // --- Start the next team turn (Black Team) ---
     function startNextTeamTurn() {
         console.log('startNextTeamTurn called');
@@ -1299,29 +1809,28 @@ document.addEventListener('DOMContentLoaded', () => {
         currentQuestionIndex = 0;
         correctAnswers = 0;
         currentStreak = 0;
+        timeRanOut = false;
+        timeAttackAttempted = 0;
         // Don't reset teamBlackScore, let it accumulate from 0
 
         // Get a fresh set of questions for the Black team
-        const selectedCategory = categoryDropdown.value;
-        console.log('Selected category:', selectedCategory);
-        
-        let availableQuestions = (selectedCategory === 'All') 
-            ? [...gameQuestions] 
-            : gameQuestions.filter(q => q.category === selectedCategory);
+        let availableQuestions = getAvailableQuestions();
         
         console.log('Available questions before exclusion:', availableQuestions.length);
         console.log('Questions to exclude (blue team):', blueTeamQuestions.map(q => q.id));
         
         // Exclude Blue Team's questions, lenient mode
         questions = getAttackModeQuestions(availableQuestions, blueTeamQuestions, true);
+        if (questions) questions = interleaveByCategoryWeight(questions, getCategoryWeights());
         
         if (!questions) {
             console.error('Could not start Black Team\'s turn due to lack of questions.');
-            alert("Could not start Black Team's turn due to lack of questions.");
+            alert(t('alert.blackTurnFailed', "Could not start Black Team's turn due to lack of questions."));
             slideOut(document.getElementById('intermission-screen'), () => slideIn(container));
             return;
         }
         
+        preloadQuestionMedia(questions);
         console.log('Black team questions loaded:', questions.length, 'questions');
         console.log('Black team question IDs:', questions.map(q => q.id));
         
@@ -1336,14 +1845,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function handleTimeUp() {
+        buzzOpen = false;
         showFeedback(false);
         gameDiv.classList.add('container-shake');
         setTimeout(() => gameDiv.classList.remove('container-shake'), 500);
         
-        Array.from(optionsDiv.children).forEach(btn => {
-            if (btn.innerText === questions[currentQuestionIndex].answer) btn.classList.add('correct');
-            btn.disabled = true;
-        });
+        revealAnswer(questions[currentQuestionIndex], optionsDiv, null);
 
         nextBtn.style.display = 'block';
 
@@ -1351,23 +1858,435 @@ document.addEventListener('DOMContentLoaded', () => {
             currentStreak = 0;
             updateSoloStats();
         }
+        if (isAdaptiveMode) {
+            recordAdaptiveResult(getAdaptiveProfile(), questions[currentQuestionIndex], false, TIME_LIMIT, TIME_LIMIT);
+        }
+        recordMissedQuestion(questions[currentQuestionIndex]);
+        recordQuestionStat(questions[currentQuestionIndex], {
+            correct: false,
+            response: null,
+            seconds: TIME_LIMIT,
+            timeLimit: TIME_LIMIT,
+            hint: hintUsedOnQuestion,
+            takeaway: takeawayUsedOnQuestion
+        });
+        if (isSurvivalMode) advanceSurvival(false);
         playSound(audioTimeup);
         stopTicking();
     }
 
+    /**
+     * Survival: a miss costs a life, and while lives are left the next question is queued
+     * (without one, the Next button ends the game).
+     * @param {boolean} correct - Whether the question was answered correctly
+     */
+    function advanceSurvival(correct) {
+        if (!correct) {
+            survivalLives--;
+            renderSurvivalLives(survivalLivesDiv, survivalLives, survivalStartLives, true);
+        }
+        if (survivalLives > 0) {
+            const next = getNextSurvivalQuestion(survivalPool, questions);
+            if (next) questions.push(next);
+        }
+    }
+
+    // --- Final Question ---
+    const finalRoundPanel = document.getElementById('final-round');
+    const finalRoundCategory = document.getElementById('final-round-category');
+    const finalRoundPrompt = document.getElementById('final-round-prompt');
+    const finalWagerBtn = document.getElementById('final-wager-btn');
+
+    /**
+     * Whether the game ends with a Final Question: games with wagers and a regular ending play
+     * it once, as long as someone has points to wager.
+     * @returns {boolean}
+     */
+    function shouldPlayFinalRound() {
+        if (!wagersEnabled || finalRoundPlayed || isStudyMode || isDailyChallenge || isSurvivalMode ||
+            isTimeAttackMode || customQuiz) {
+            return false;
+        }
+        return getFinalRoundPlayers(gameMode).some(player => getFinalRoundScore(player) > 0);
+    }
+
+    /**
+     * @param {string} player - 'solo', 'blue' or 'black'
+     * @returns {number} - The player's score
+     */
+    function getFinalRoundScore(player) {
+        if (player === 'blue') return teamBlueScore;
+        if (player === 'black') return teamBlackScore;
+        return playerScore;
+    }
+
+    function setFinalRoundScore(player, score) {
+        if (player === 'blue') teamBlueScore = score;
+        else if (player === 'black') teamBlackScore = score;
+        else playerScore = score;
+    }
+
+    /**
+     * Starts the Final Question: reveals its category and asks for the first wager.
+     */
+    function startFinalRound() {
+        finalRoundPlayed = true;
+        finalQuestion = pickFinalQuestion(getAvailableQuestions(true), questions);
+        if (!finalQuestion) {
+            showEndScreen();
+            return;
+        }
+        // Stay on the last question, so the counter reads e.g. 20 / 20 and Next ends the game
+        currentQuestionIndex = questions.length - 1;
+        finalWagers = {};
+        finalResponses = {};
+        finalTurns = getFinalRoundPlayers(gameMode);
+        // True/False keeps its natural order
+        finalOptions = getQuestionType(finalQuestion) === 'true-false'
+            ? getQuestionOptions(finalQuestion)
+            : shuffle(getQuestionOptions(finalQuestion).slice());
+
+        resetState();
+        document.querySelector('.question').style.display = 'none';
+        document.querySelector('.game-tools').style.display = 'none';
+        document.getElementById('progress-bar-container').style.display = 'none';
+        timerDiv.parentElement.style.display = 'none';
+        explanationDiv.style.display = 'none';
+        sourcePanel.style.display = 'none';
+        const encouragementDiv = document.getElementById('encouragement-message');
+        if (encouragementDiv) encouragementDiv.innerText = '';
+
+        const icon = CATEGORY_ICONS[finalQuestion.category] || '';
+        finalRoundCategory.innerText = t('final.category', 'Category: {category}', {
+            category: `${icon} ${localizeCategory(finalQuestion.category)}`
+        });
+        finalRoundPanel.style.display = 'block';
+        document.getElementById('wager-container').style.display = 'flex';
+        finalWagerBtn.style.display = '';
+        finalWagerBtn.onclick = lockFinalWager;
+        wagerInput.style.background = '';
+        minWagerValue = 0;
+        // Teams wager at the same screen, so a team's wager is typed out of sight like a PIN
+        isSecretWager = gameMode === 'teams';
+        if (isSecretWager) {
+            wagerInput.type = 'password';
+            wagerInput.inputMode = 'numeric';
+        }
+        playSound(audioRiser);
+        askFinalWager();
+    }
+
+    /**
+     * Asks the next player for a Final Question wager of up to their whole score.
+     */
+    function askFinalWager() {
+        const player = finalTurns[0];
+        maxWagerValue = getFinalRoundScore(player);
+        currentWager = 0;
+        wagerInput.min = 0;
+        wagerInput.max = maxWagerValue;
+        wagerInput.value = '0';
+        wagerInput.disabled = false;
+        updateWagerFeedback();
+        finalRoundPrompt.innerText = isSecretWager
+            ? t('final.teamWager', '{team}, enter your wager (0 to {max}) while the other team looks away.', {
+                team: getFinalRoundPlayerName(player),
+                max: maxWagerValue
+            })
+            : t('final.soloWager', 'Wager 0 to {max} points on this category.', { max: maxWagerValue });
+        wagerInput.focus();
+    }
+
+    function lockFinalWager() {
+        const player = finalTurns.shift();
+        const wager = parseInt(wagerInput.value, 10);
+        finalWagers[player] = Math.min(maxWagerValue, Math.max(0, isNaN(wager) ? 0 : wager));
+        if (finalTurns.length > 0) {
+            askFinalWager();
+        } else {
+            showFinalQuestion();
+        }
+    }
+
+    /**
+     * Shows the Final Question once every wager is locked in.
+     */
+    function showFinalQuestion() {
+        finalTurns = getFinalRoundPlayers(gameMode);
+        document.getElementById('wager-container').style.display = 'none';
+        finalWagerBtn.style.display = 'none';
+        wagerInput.disabled = true;
+        renderQuestionMedia(finalQuestion, questionMediaDiv);
+        const icon = CATEGORY_ICONS[finalQuestion.category] || '';
+        questionDiv.innerHTML = `<span class='category-badge'>${icon}</span> ${finalQuestion.question}`;
+        document.querySelector('.question').style.display = '';
+        askFinalAnswer();
+        questionStartTime = Date.now();
+        setTimeout(() => {
+            fadeIn(document.querySelector('.question'));
+            fadeIn(document.querySelector('.options'));
+        }, 50);
+    }
+
+    /**
+     * Shows fresh answer controls for the next player of the Final Question.
+     */
+    function askFinalAnswer() {
+        const player = finalTurns[0];
+        optionsDiv.innerHTML = '';
+        optionsDiv.dataset.type = getQuestionType(finalQuestion);
+        if (isChoiceQuestion(finalQuestion)) {
+            optionsDiv.appendChild(createOptionButtons(finalQuestion, finalOptions, answerFinalQuestion));
+        } else {
+            renderAnswerInput(finalQuestion, optionsDiv, answerFinalQuestion);
+        }
+        finalRoundPrompt.innerText = gameMode === 'teams'
+            ? t('final.teamAnswer', '{team}, lock in your answer while the other team looks away.', {
+                team: getFinalRoundPlayerName(player)
+            })
+            : t('final.soloAnswer', 'Your wager: {wager}. Lock in your answer!', { wager: finalWagers[player] });
+    }
+
+    function answerFinalQuestion(e) {
+        const player = finalTurns.shift();
+        finalResponses[player] = readAnswerResponse(finalQuestion, optionsDiv, e.target);
+        if (finalTurns.length > 0) {
+            playSound(audioTransition);
+            askFinalAnswer();
+        } else {
+            revealFinalRound();
+        }
+    }
+
+    /**
+     * Grades every Final Question answer, settles the wagers and shows the results.
+     */
+    function revealFinalRound() {
+        const seconds = (Date.now() - questionStartTime) / 1000;
+        const players = getFinalRoundPlayers(gameMode);
+        const lastResponse = finalResponses[players[players.length - 1]];
+        let anyCorrect = false;
+        explanationDiv.innerText = '';
+        players.forEach(player => {
+            const response = finalResponses[player];
+            const correct = gradeAnswer(finalQuestion, response);
+            const wager = finalWagers[player];
+            const score = getFinalRoundScore(player);
+            setFinalRoundScore(player, correct ? score + wager : Math.max(0, score - wager));
+            if (correct) anyCorrect = true;
+            else recordMissedQuestion(finalQuestion);
+            recordQuestionStat(finalQuestion, {
+                correct,
+                response,
+                seconds,
+                timeLimit: getQuestionTimeLimit(finalQuestion),
+                hint: false,
+                takeaway: false
+            });
+            const result = document.createElement('p');
+            result.className = 'final-round-result';
+            const params = { player: getFinalRoundPlayerName(player), wager };
+            result.innerText = correct
+                ? '✅ ' + t('final.won', '{player}: right! +{wager} points', params)
+                : '❌ ' + t('final.lost', '{player}: wrong. -{wager} points', params);
+            explanationDiv.appendChild(result);
+        });
+        if (finalQuestion.explanation) {
+            const explanation = document.createElement('p');
+            explanation.innerText = '💡 ' + finalQuestion.explanation;
+            explanationDiv.appendChild(explanation);
+        }
+        explanationDiv.style.display = 'block';
+
+        showFeedback(anyCorrect);
+        if (anyCorrect) playCorrectSound();
+        else playSound(audioWrong);
+        // The controls on screen hold the last player's answer
+        revealAnswer(finalQuestion, optionsDiv, lastResponse);
+        renderSourcePanel(finalQuestion);
+        finalRoundPrompt.innerText = '';
+        if (gameMode === 'solo') updateSoloStats();
+        else updateScoreDisplay();
+        nextBtn.style.display = 'block';
+    }
+
+    /**
+     * Puts the wager input and game screen back the way regular questions use them.
+     */
+    function endFinalRound() {
+        isSecretWager = false;
+        minWagerValue = 1;
+        wagerInput.type = 'number';
+        wagerInput.min = 1;
+        finalRoundPanel.style.display = 'none';
+        finalWagerBtn.style.display = 'none';
+        document.querySelector('.question').style.display = '';
+        document.getElementById('progress-bar-container').style.display = '';
+    }
+
+    // --- Category Board ---
+    const boardDiv = document.getElementById('category-board');
+
+    /**
+     * Shows the board for the team whose turn it is to pick a tile.
+     */
+    function showBoard() {
+        resetState();
+        currentTeam = questions.length % 2 === 0 ? 'blue' : 'black';
+        document.querySelector('.question').style.display = 'none';
+        document.querySelector('.game-tools').style.display = 'none';
+        document.getElementById('progress-bar-container').style.display = 'none';
+        document.getElementById('wager-container').style.display = 'none';
+        timerDiv.parentElement.style.display = 'none';
+        explanationDiv.style.display = 'none';
+        sourcePanel.style.display = 'none';
+        const encouragementDiv = document.getElementById('encouragement-message');
+        if (encouragementDiv) encouragementDiv.innerText = '';
+        document.body.classList.remove('prophecy-mode');
+        updateScoreDisplay();
+        renderBoard(boardDiv, categoryBoard, pickBoardTile);
+        boardDiv.style.display = '';
+        fadeIn(boardDiv);
+    }
+
+    /**
+     * Plays the tile a team picked: its question is worth the tile's value, or on a Daily
+     * Double whatever the team wagers.
+     * @param {Object} tile - A tile of the board
+     */
+    function pickBoardTile(tile) {
+        tile.used = true;
+        currentBoardTile = tile;
+        boardDiv.style.display = 'none';
+        document.querySelector('.question').style.display = '';
+        document.querySelector('.game-tools').style.display = 'flex';
+        document.getElementById('progress-bar-container').style.display = '';
+        document.getElementById('wager-container').style.display = tile.dailyDouble ? 'flex' : 'none';
+        timerDiv.parentElement.style.display = '';
+        questions.push(tile.question);
+        currentQuestionIndex = questions.length - 1;
+        if (tile.dailyDouble) {
+            playSound(audioRiser);
+            showDailyDoubleSplash();
+        } else {
+            playSound(audioTransition);
+        }
+        showQuestion();
+    }
+
+    // --- Buzz-In ---
+    /**
+     * Opens a question to both teams' buzzers, with the answer controls locked until a team
+     * buzzes. The question's own timer is the time to buzz.
+     */
+    function openBuzz() {
+        buzzOpen = true;
+        buzzedTeam = null;
+        buzzedOut = [];
+        setAnswerControlsLocked(optionsDiv, true);
+        renderBuzzIndicator(teamTurnIndicator, null, buzzInKeys);
+    }
+
+    /**
+     * Gives a team the question: it has BUZZ_IN_ANSWER_SECONDS to answer.
+     * @param {string} team - 'blue' or 'black'
+     * @param {boolean} [passed] - The other team answered wrong, so nobody buzzed
+     */
+    function buzzIn(team, passed = false) {
+        buzzedTeam = team;
+        currentTeam = team;
+        clearInterval(timer);
+        stopTicking();
+        if (!passed) {
+            buzzTimeLeft = timeLeft;
+            playSound(audioBuzzer);
+        }
+        renderBuzzIndicator(teamTurnIndicator, team, buzzInKeys, passed);
+        setAnswerControlsLocked(optionsDiv, false);
+        const input = optionsDiv.querySelector('.short-answer-input');
+        if (input) input.focus();
+        startTimer(BUZZ_IN_ANSWER_SECONDS, handleBuzzTimeUp);
+    }
+
+    /**
+     * Takes the question from a team that missed it and passes it to a team that has not tried.
+     * @param {string} team - The team that missed
+     * @returns {boolean} - False if both teams have missed, so the question is over
+     */
+    function passBuzz(team) {
+        buzzedOut.push(team);
+        buzzedTeam = null;
+        const other = BUZZ_IN_TEAMS.find(candidate => !buzzedOut.includes(candidate));
+        if (!other) return false;
+        if (!isChoiceQuestion(questions[currentQuestionIndex])) {
+            // Typed and ordered answers start over for the other team
+            optionsDiv.innerHTML = '';
+            renderAnswerInput(questions[currentQuestionIndex], optionsDiv, selectAnswer);
+        }
+        buzzIn(other, true);
+        return true;
+    }
+
+    /**
+     * The host's reset: clears the buzz and reopens the question to the teams still in it, with
+     * the time that was left to buzz.
+     */
+    function resetBuzz() {
+        clearInterval(timer);
+        stopTicking();
+        buzzedTeam = null;
+        setAnswerControlsLocked(optionsDiv, true);
+        renderBuzzIndicator(teamTurnIndicator, null, buzzInKeys);
+        startTimer(buzzTimeLeft, handleTimeUp, TIME_LIMIT);
+    }
+
+    // A team that runs out of time to answer has missed, just like a wrong answer
+    function handleBuzzTimeUp() {
+        const team = buzzedTeam;
+        if (team === 'blue') teamBlueScore = Math.max(0, teamBlueScore - BUZZ_IN_POINTS);
+        else teamBlackScore = Math.max(0, teamBlackScore - BUZZ_IN_POINTS);
+        updateScoreDisplay();
+        if (passBuzz(team)) {
+            playSound(audioWrong);
+        } else {
+            buzzOpen = false;
+            handleTimeUp();
+        }
+    }
+
+    document.addEventListener('keydown', e => {
+        if (!isBuzzInMode || !buzzOpen) return;
+        if (e.key === BUZZ_IN_RESET_KEY) {
+            // Escape in the answer field belongs to the team typing, not the host
+            if (buzzedTeam && !isTypingInField(e)) resetBuzz();
+            return;
+        }
+        const team = getBuzzingTeam(e, buzzInKeys);
+        if (!team || buzzedTeam || buzzedOut.includes(team)) return;
+        e.preventDefault();
+        buzzIn(team);
+    });
+
     // --- Timer Functions ---
-    function startTimer() {
-        timeLeft = TIME_LIMIT;
+    /**
+     * Starts the per-question countdown.
+     * @param {number} [limit] - Seconds on the clock (defaults to the question's TIME_LIMIT)
+     * @param {function()} [onTimeUp] - Called when the time runs out (defaults to handleTimeUp)
+     * @param {number} [total] - The full time the progress bar runs over, when resuming a
+     *   countdown with `limit` seconds left (defaults to `limit`)
+     */
+    function startTimer(limit = TIME_LIMIT, onTimeUp = handleTimeUp, total = limit) {
+        timeLeft = limit;
         updateTimerDisplay(timeLeft); // Use the new function
         const progressBar = document.getElementById('progress-bar');
-        progressBar.style.width = '0%';
+        progressBar.style.width = ((total - limit) / total) * 100 + '%';
         progressBar.classList.remove('light-up');
         startTicking(); // Start ticking for the whole timer
         timer = setInterval(() => {
             timeLeft--;
             updateTimerDisplay(timeLeft); // Use the new function
             // Progress bar update
-            const percent = ((TIME_LIMIT - timeLeft) / TIME_LIMIT) * 100;
+            const percent = ((total - timeLeft) / total) * 100;
             progressBar.style.width = percent + '%';
             if (timeLeft <= 5) {
                 progressBar.classList.add('light-up');
@@ -1382,20 +2301,34 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             if (timeLeft <= 0) {
                 clearInterval(timer);
-                handleTimeUp();
+                onTimeUp();
             }
         }, 1000);
     }
 
     // --- NEW: Global Timer Functions for Time Attack ---
-    function startGlobalTimer() {
-        globalTimeLeft = TOTAL_TIME_LIMIT;
-        timerDiv.innerText = `Time: ${formatTime(globalTimeLeft)}`;
+    /**
+     * Reads the host's Time Attack limit from the start screen.
+     * @returns {number} - The limit in seconds (TOTAL_TIME_LIMIT if none is picked)
+     */
+    function getTimeAttackLimit() {
+        const select = document.getElementById('time-attack-limit');
+        const seconds = select ? parseInt(select.value, 10) : NaN;
+        return seconds > 0 ? seconds : TOTAL_TIME_LIMIT;
+    }
+
+    /**
+     * Starts (or, after Freeze Time, resumes) the Time Attack clock.
+     * @param {number} [seconds] - Time left on the clock (defaults to the full limit)
+     */
+    function startGlobalTimer(seconds = timeAttackLimit) {
+        globalTimeLeft = seconds;
+        timerDiv.innerText = t('game.time', 'Time: {time}', { time: formatTime(globalTimeLeft) });
         timerDiv.parentElement.classList.add('global-timer');
 
         globalTimer = setInterval(() => {
             globalTimeLeft--;
-            timerDiv.innerText = `Time: ${formatTime(globalTimeLeft)}`;
+            timerDiv.innerText = t('game.time', 'Time: {time}', { time: formatTime(globalTimeLeft) });
             if (globalTimeLeft <= 0) {
                 handleGlobalTimeUp();
             }
@@ -1409,21 +2342,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function handleGlobalTimeUp() {
         stopGlobalTimer();
+        clearTimeout(nextQuestionTimeout);
         playSound(audioTimeup);
         timeRanOut = true;
 
         if (gameMode === 'teams' && timeAttackTeamTurn === 'blue') {
             // Blue team's time ran out, save score and go to intermission
-            timeAttackBlueTeamFinalScore = teamBlueScore;
-            document.getElementById('intermission-score').innerText = timeAttackBlueTeamFinalScore;
-            slideOut(gameDiv, () => {
-                slideIn(document.getElementById('intermission-screen'));
-                // Re-attach event listener every time intermission is shown
-                const startNextTurnBtn = document.getElementById('start-next-turn-btn');
-                if (startNextTurnBtn) {
-                    startNextTurnBtn.onclick = startNextTeamTurn;
-                }
-            });
+            showIntermission();
         } else {
             // Solo game time ran out OR Black team's time ran out, so go to final results
             showEndScreen();
@@ -1466,6 +2391,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Enhanced end game function with better mobile experience
     function showEndScreen() {
         stopGlobalTimer(); // Ensure global timer is stopped
+        endFinalRound();
+        renderQuestionMedia(null, questionMediaDiv);
         slideOut(gameDiv, () => slideIn(gameOverDiv));
         gameOverDiv.classList.add('active');
         exitBtn.style.display = 'block';
@@ -1476,16 +2403,21 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('results-solo-time').style.display = 'none';
         document.getElementById('results-teams-time').style.display = 'none';
 
+        const gameCodeEl = document.getElementById('game-code-result');
+        if (gameCodeEl) {
+            gameCodeEl.innerText = gameCode ? t('end.gameCode', 'Game code: {code}', { code: gameCode }) : '';
+            gameCodeEl.style.display = gameCode ? 'block' : 'none';
+        }
+
         if (isTimeAttackMode) {
-            gameElapsedTime = timeRanOut ? TOTAL_TIME_LIMIT : (Date.now() - gameStartTime) / 1000;
-            const timeTakenStr = `Time Taken: ${formatTime(Math.round(gameElapsedTime))}`;
+            gameElapsedTime = timeRanOut ? timeAttackLimit : (Date.now() - gameStartTime) / 1000;
+            const timeTakenStr = t('end.timeTaken', 'Time Taken: {time}', { time: formatTime(Math.round(gameElapsedTime)) });
 
             if (gameMode === 'solo') {
                 resultsSolo.style.display = 'block';
-                resultsSolo.children[0].innerText = `Your Score: ${playerScore}`;
-                const attempted = timeRanOut ? currentQuestionIndex + 1 : 30;
-                resultsSolo.children[1].innerText = `Correct Answers: ${correctAnswers}/${attempted}`;
-                resultsSolo.children[2].innerText = `Longest Streak: ${longestStreak}`;
+                resultsSolo.children[0].innerText = t('end.yourScore', 'Your Score: {score}', { score: playerScore });
+                resultsSolo.children[1].innerText = t('end.correctAnswers', 'Correct Answers: {correct}/{total}', { correct: correctAnswers, total: timeAttackAttempted });
+                resultsSolo.children[2].innerText = t('end.longestStreak', 'Longest Streak: {streak}', { streak: longestStreak });
                 const timeEl = document.getElementById('results-solo-time');
                 timeEl.innerText = timeTakenStr;
                 timeEl.style.display = 'block';
@@ -1496,17 +2428,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 resultsTeams.style.display = 'block';
                 
                 // USE THE SAVED BLUE SCORE FOR THE FINAL DISPLAY
-                resultsTeams.children[0].innerText = `Blue: ${timeAttackBlueTeamFinalScore} pts`;
-                resultsTeams.children[1].innerText = `Black: ${teamBlackScore} pts`;
+                resultsTeams.children[0].innerText = t('end.bluePoints', 'Blue: {score} pts', { score: timeAttackBlueTeamFinalScore });
+                resultsTeams.children[1].innerText = t('end.blackPoints', 'Black: {score} pts', { score: teamBlackScore });
                 
                 // Determine winner by comparing the final scores
                 let winnerText = '';
                 if (timeAttackBlueTeamFinalScore > teamBlackScore) {
-                    winnerText = '🏆 Blue Team Triumphs!';
+                    winnerText = '🏆 ' + t('end.blueWins', 'Blue Team Triumphs!');
                 } else if (teamBlackScore > timeAttackBlueTeamFinalScore) {
-                    winnerText = '🏆 Black Team Dominates!';
+                    winnerText = '🏆 ' + t('end.blackWins', 'Black Team Dominates!');
                 } else {
-                    winnerText = "🤝 It's a Tie!";
+                    winnerText = '🤝 ' + t('end.tie', "It's a Tie!");
                 }
                 teamWinner.innerText = winnerText;
                 
@@ -1554,17 +2486,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 // Update results with enhanced animations
                 setTimeout(() => {
-                    resultsSolo.children[0].innerText = `Your Score: ${playerScore}`;
+                    resultsSolo.children[0].innerText = t('end.yourScore', 'Your Score: {score}', { score: playerScore });
                     resultsSolo.children[0].classList.add('score-animate-up');
                 }, 200);
                 
                 setTimeout(() => {
-                    resultsSolo.children[1].innerText = `Correct Answers: ${correctAnswers}/${questions.length}`;
+                    resultsSolo.children[1].innerText = t('end.correctAnswers', 'Correct Answers: {correct}/{total}', { correct: correctAnswers, total: questions.length });
                     resultsSolo.children[1].classList.add('fade-in');
                 }, 400);
                 
                 setTimeout(() => {
-                    resultsSolo.children[2].innerText = `Longest Streak: ${longestStreak}`;
+                    resultsSolo.children[2].innerText = t('end.longestStreak', 'Longest Streak: {streak}', { streak: longestStreak });
                     resultsSolo.children[2].classList.add('fade-in');
                 }, 600);
                 
@@ -1579,17 +2511,58 @@ document.addEventListener('DOMContentLoaded', () => {
                     resultsSolo.querySelector('.stars').classList.add('score-animate-up');
                 }, 800);
                 
+                // Adaptive mode: show how the player's skill rating moved this game
+                const ratingEl = document.getElementById('results-solo-rating');
+                if (ratingEl) {
+                    if (isAdaptiveMode) {
+                        const rating = getAdaptivePlayer(getAdaptiveProfile()).rating;
+                        const change = rating - adaptiveStartRating;
+                        ratingEl.innerText = t('end.skillRating', 'Skill Rating: {rating} ({change})', { rating, change: `${change >= 0 ? '+' : ''}${change}` });
+                        ratingEl.style.display = 'block';
+                    } else {
+                        ratingEl.style.display = 'none';
+                    }
+                }
+
                 // Enhanced achievement display
                 const unlocked = ACHIEVEMENTS.filter(a => a.check(stats));
                 if (unlocked.length > 0) {
                     setTimeout(() => {
-                        achievementTitle.innerText = `🏆 Achievement Unlocked: ${unlocked[0].name}!`;
+                        achievementTitle.innerText = '🏆 ' + t('end.achievementUnlocked', 'Achievement Unlocked: {name}!', { name: localizeAchievement(unlocked[0]).name });
                         achievementTitle.classList.add('fade-in');
                     }, 1000);
                 }
                 
-                // Enhanced leaderboard functionality
-                handleLeaderboard();
+                // Daily Challenge: save today's result and show the streak
+                const dailyEl = document.getElementById('results-solo-daily');
+                if (dailyEl) {
+                    if (isDailyChallenge) {
+                        recordDailyChallengeResult(dailyChallengeKey, { score: playerScore, correct: correctAnswers, total: questions.length });
+                        const streak = getDailyChallengeStreak(getDailyChallengeResults(), dailyChallengeKey);
+                        dailyEl.innerText = '🔥 ' + t('end.dailyStreak', 'Daily Challenge streak: {count} day(s)', { count: streak });
+                        dailyEl.style.display = 'block';
+                    } else {
+                        dailyEl.style.display = 'none';
+                    }
+                }
+
+                // Survival: show how far the player got, counting only the questions answered
+                // right (as the survival leaderboard does)
+                const survivalEl = document.getElementById('results-solo-survival');
+                if (survivalEl) {
+                    survivalEl.innerText = isSurvivalMode
+                        ? '❤️ ' + t('end.survival', 'You survived {count} questions!', { count: correctAnswers })
+                        : '';
+                    survivalEl.style.display = isSurvivalMode ? 'block' : 'none';
+                }
+
+                // Enhanced leaderboard functionality (study sessions, daily challenges and custom quizzes are not ranked)
+                if (isStudyMode || isDailyChallenge || customQuiz) {
+                    document.getElementById('leaderboard').style.display = 'none';
+                    document.getElementById('leaderboard-filter').style.display = 'none';
+                } else {
+                    handleLeaderboard();
+                }
                 
             } else {
                 // Enhanced team mode end screen
@@ -1601,24 +2574,24 @@ document.addEventListener('DOMContentLoaded', () => {
                 let celebrationType = 'good';
                 
                 if (teamBlueScore > teamBlackScore) {
-                    winnerText = ' Blue Team Triumphs!';
+                    winnerText = ' ' + t('end.blueWins', 'Blue Team Triumphs!');
                     celebrationType = 'excellent';
                 } else if (teamBlackScore > teamBlueScore) {
-                    winnerText = '⚫ Black Team Dominates!';
+                    winnerText = '⚫ ' + t('end.blackWins', 'Black Team Dominates!');
                     celebrationType = 'excellent';
                 } else {
-                    winnerText = '🤝 Epic Tie - Rematch Needed!';
+                    winnerText = '🤝 ' + t('end.tieRematch', 'Epic Tie - Rematch Needed!');
                     celebrationType = 'good';
                 }
                 
                 // Animate team results
                 setTimeout(() => {
-                    resultsTeams.children[0].innerText = `Blue: ${teamBlueScore}`;
+                    resultsTeams.children[0].innerText = t('score.blue', 'Blue: {score}', { score: teamBlueScore });
                     resultsTeams.children[0].classList.add(teamBlueScore > teamBlackScore ? 'score-animate-up' : 'fade-in');
                 }, 200);
                 
                 setTimeout(() => {
-                    resultsTeams.children[1].innerText = `Black: ${teamBlackScore}`;
+                    resultsTeams.children[1].innerText = t('score.black', 'Black: {score}', { score: teamBlackScore });
                     resultsTeams.children[1].classList.add(teamBlackScore > teamBlueScore ? 'score-animate-up' : 'fade-in');
                 }, 400);
                 
@@ -1631,36 +2604,78 @@ document.addEventListener('DOMContentLoaded', () => {
             
             playBgMusic();
             
-            // Show random fun fact with animation
+            // Show a fact that goes with the questions just played, with animation. Time Attack
+            // queues the whole pool, so only the questions shown so far count.
             const funFactBoxEnd = document.getElementById('fun-fact-box-end');
             if (funFactBoxEnd) {
+                const played = questions.slice(0, currentQuestionIndex + 1);
                 setTimeout(() => {
-                    funFactBoxEnd.innerText = getRandomFunFact();
+                    renderFunFact(funFactBoxEnd, getRelatedFunFact(played));
                     funFactBoxEnd.classList.add('fade-in');
                 }, 1200);
             }
         }
     }
 
+    /**
+     * Reads one leaderboard. Each game length has its own board, and survival games have one too.
+     * @param {number|string} board - The number of questions, or SURVIVAL_LEADERBOARD
+     * @returns {Object[]} - The entries, best first
+     */
+    function getLeaderboardData(board) {
+        try {
+            const boards = JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY));
+            if (boards && Array.isArray(boards[board])) return boards[board];
+        } catch (error) {
+            console.warn('Could not read the leaderboard:', error);
+        }
+        return [];
+    }
+
+    function saveLeaderboardData(board, entries) {
+        let boards = {};
+        try {
+            boards = JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not read the leaderboard, starting a new one:', error);
+        }
+        boards[board] = entries;
+        localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(boards));
+    }
+
+    // The board the game that just ended is ranked on
+    function getCurrentLeaderboard() {
+        return isSurvivalMode ? SURVIVAL_LEADERBOARD : String(gameQuestionCount);
+    }
+
+    // Survival runs are ranked by how far they got, other games by score
+    function compareLeaderboardEntries(board) {
+        if (board === SURVIVAL_LEADERBOARD) {
+            return (a, b) => b.correctAnswers - a.correctAnswers || b.score - a.score;
+        }
+        return (a, b) => b.score - a.score;
+    }
+
     // Enhanced leaderboard handling
     function handleLeaderboard() {
         const leaderboardSection = document.getElementById('leaderboard');
         const leaderboardList = leaderboardSection.querySelector('.leaderboard-list');
         const leaderboardFilter = document.getElementById('leaderboard-filter');
         const leaderboardSelect = document.getElementById('leaderboard-question-count');
+        const board = getCurrentLeaderboard();
         
         leaderboardSection.style.display = 'block';
         leaderboardFilter.style.display = 'block';
-        leaderboardList.innerHTML = '<li>Loading leaderboard...</li>';
+        leaderboardList.innerHTML = `<li>${t('leaderboard.loading', 'Loading leaderboard...')}</li>`;
         
-        // Set filter to current game question count
-        if (leaderboardSelect) leaderboardSelect.value = gameQuestionCount;
+        // Set filter to the board of the current game
+        if (leaderboardSelect) leaderboardSelect.value = board;
         
         // Get player name with better mobile experience
         let playerName = localStorage.getItem('playerName') || '';
         if (!playerName) {
             // Use a more mobile-friendly prompt
-            playerName = prompt('🏆 Enter your name for the leaderboard:', 'Anonymous Player');
+            playerName = prompt('🏆 ' + t('prompt.playerName', 'Enter your name for the leaderboard:'), 'Anonymous Player');
             if (playerName && playerName.trim()) {
                 localStorage.setItem('playerName', playerName.trim());
                 playerName = playerName.trim();
@@ -1671,42 +2686,50 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Enhanced leaderboard data handling
         try {
-            const leaderboardData = getLeaderboardData(gameQuestionCount);
+            const leaderboardData = getLeaderboardData(board);
             const newEntry = {
                 name: playerName,
                 score: playerScore,
                 correctAnswers,
-                totalQuestions: gameQuestionCount,
+                totalQuestions: isSurvivalMode ? questions.length : gameQuestionCount,
                 date: new Date().toISOString(),
                 time: gameElapsedTime,
-                questionCount: gameQuestionCount
+                questionCount: gameQuestionCount,
+                board
             };
             
             leaderboardData.push(newEntry);
-            leaderboardData.sort((a, b) => b.score - a.score);
+            leaderboardData.sort(compareLeaderboardEntries(board));
             
             // Keep only top 10
-            const topScores = leaderboardData.slice(0, 10);
-            saveLeaderboardData(gameQuestionCount, topScores);
+            const topScores = leaderboardData.slice(0, LEADERBOARD_SIZE);
+            saveLeaderboardData(board, topScores);
             
             // Render with animations
             setTimeout(() => {
-                renderLeaderboard(topScores, playerName);
+                renderLeaderboard(topScores, playerName, board);
             }, 500);
+
+            // Let the player look at the other boards
+            if (leaderboardSelect) {
+                leaderboardSelect.onchange = () => {
+                    renderLeaderboard(getLeaderboardData(leaderboardSelect.value), playerName, leaderboardSelect.value);
+                };
+            }
             
         } catch (error) {
             console.error('Error handling leaderboard:', error);
-            leaderboardList.innerHTML = '<li>Unable to load leaderboard</li>';
+            leaderboardList.innerHTML = `<li>${t('leaderboard.error', 'Unable to load leaderboard')}</li>`;
         }
     }
 
     // Enhanced leaderboard rendering with animations
-    function renderLeaderboard(data, currentPlayerName) {
+    function renderLeaderboard(data, currentPlayerName, board) {
         const leaderboardList = document.querySelector('.leaderboard-list');
         leaderboardList.innerHTML = '';
         
         if (data.length === 0) {
-            leaderboardList.innerHTML = '<li>No scores yet - be the first!</li>';
+            leaderboardList.innerHTML = `<li>${t('leaderboard.empty', 'No scores yet - be the first!')}</li>`;
             return;
         }
         
@@ -1721,16 +2744,20 @@ document.addEventListener('DOMContentLoaded', () => {
             else icon = `${idx + 1}.`;
             
             // Check if current player
-            const isCurrent = entry.name === currentPlayerName && 
+            const isCurrent = board === getCurrentLeaderboard() &&
+                             entry.name === currentPlayerName && 
                              entry.score === playerScore && 
-                             entry.questionCount === gameQuestionCount;
+                             entry.correctAnswers === correctAnswers;
+            const scoreText = board === SURVIVAL_LEADERBOARD
+                ? t('leaderboard.correctCount', '{count} correct', { count: entry.correctAnswers })
+                : entry.score;
             
             const li = document.createElement('li');
             li.className = `leaderboard-item ${isCurrent ? 'current-player' : ''}`;
             li.innerHTML = `
                 <span class="leaderboard-rank">${icon}</span>
                 <span class="leaderboard-name">${entry.name}</span>
-                <span class="leaderboard-score">${entry.score}</span>
+                <span class="leaderboard-score">${scoreText}</span>
                 <span class="leaderboard-date">${dateStr}</span>
             `;
             
@@ -1800,26 +2827,31 @@ document.addEventListener('DOMContentLoaded', () => {
             updateScoreDisplay();
         }
         
-        // Highlight correct option with improved animation
-        Array.from(optionsDiv.children).forEach(btn => {
-            if (btn.innerText === questions[currentQuestionIndex].answer) {
-                // First remove any existing highlight to reset animation
-                btn.classList.remove('hint-highlight');
-                void btn.offsetWidth; // Force reflow
-                
-                // Add highlight with improved animation
-                btn.classList.add('hint-highlight');
-                
-                // Add a subtle glow to the entire options container
-                optionsDiv.style.boxShadow = '0 0 20px 5px rgba(255, 215, 0, 0.3)';
-                setTimeout(() => {
-                    optionsDiv.style.boxShadow = '';
-                    btn.classList.remove('hint-highlight');
-                }, 2000);
-            }
-        });
+        const question = questions[currentQuestionIndex];
+        if (getQuestionType(question) === 'ordering' || getQuestionType(question) === 'short-answer') {
+            showTypedAnswerHint(question, optionsDiv);
+        }
+        // Highlight a correct option with improved animation (one of them for choose-all-that-apply)
+        const correctBtn = Array.from(optionsDiv.children).find(btn =>
+            isCorrectOption(question, btn.dataset.option) && !btn.classList.contains('selected'));
+        if (correctBtn) {
+            // First remove any existing highlight to reset animation
+            correctBtn.classList.remove('hint-highlight');
+            void correctBtn.offsetWidth; // Force reflow
+            
+            // Add highlight with improved animation
+            correctBtn.classList.add('hint-highlight');
+            
+            // Add a subtle glow to the entire options container
+            optionsDiv.style.boxShadow = '0 0 20px 5px rgba(255, 215, 0, 0.3)';
+            setTimeout(() => {
+                optionsDiv.style.boxShadow = '';
+                correctBtn.classList.remove('hint-highlight');
+            }, 2000);
+        }
         
         hintBtn.disabled = true;
+        hintUsedOnQuestion = true;
     };
 
     takeawayBtn.onclick = function() {
@@ -1844,7 +2876,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Remove two incorrect options with staggered animation for better visual effect
         const incorrectBtns = Array.from(optionsDiv.children).filter(btn =>
-            btn.innerText !== questions[currentQuestionIndex].answer &&
+            !isCorrectOption(questions[currentQuestionIndex], btn.dataset.option) &&
             !btn.classList.contains('option-removed')
         );
         
@@ -1864,6 +2896,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         takeawayBtn.disabled = true;
+        takeawayUsedOnQuestion = true;
     };
 
     doublePointsBtn.onclick = function() {
@@ -1895,7 +2928,7 @@ document.addEventListener('DOMContentLoaded', () => {
             timerDiv.style.textShadow = '';
             
             if (isTimeAttackMode) {
-                startGlobalTimer(); // Resume global timer
+                startGlobalTimer(globalTimeLeft); // Resume global timer
             } else {
                 startTimer();
             }
@@ -1906,6 +2939,100 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Removed revive button onclick function
 
+    /**
+     * Sets the start screen to the settings of a game code; the next game uses its seed.
+     * @param {Object} settings - Settings from decodeGameCode
+     * @returns {boolean} - False if a category in the code has no questions here
+     */
+    function applyGameCode(settings) {
+        const chips = Array.from(categoryChips.querySelectorAll('.category-chip'));
+        const available = chips.map(chip => chip.querySelector('input[type="checkbox"]').value);
+        if (settings.categories && Object.keys(settings.categories).some(category => !available.includes(category))) {
+            return false;
+        }
+        chips.forEach(chip => {
+            const checkbox = chip.querySelector('input[type="checkbox"]');
+            const weight = settings.categories ? settings.categories[checkbox.value] : undefined;
+            checkbox.checked = weight !== undefined;
+            chip.querySelector('.category-chip-weight').value = String(weight || 1);
+            checkbox.dispatchEvent(new Event('change'));
+        });
+        const gameLengthSelect = document.getElementById('game-length-select');
+        if (gameLengthSelect) {
+            if (!Array.from(gameLengthSelect.options).some(opt => opt.value === String(settings.length))) {
+                gameLengthSelect.add(new Option(String(settings.length), String(settings.length)));
+            }
+            gameLengthSelect.value = String(settings.length);
+        }
+        if (difficultySelect) difficultySelect.value = settings.difficulty;
+        if (tagDropdown) tagDropdown.value = 'All';
+        if (sourceDropdown) sourceDropdown.value = 'All';
+        // A code replays a fixed set of questions, which Time Attack would not use
+        const timeAttackCheckbox = document.getElementById('time-attack-checkbox');
+        if (timeAttackCheckbox) timeAttackCheckbox.checked = false;
+        pendingGameSeed = settings.seed;
+        return true;
+    }
+
+    const gameCodeInput = document.getElementById('game-code-input');
+    const gameCodeStatus = document.getElementById('game-code-status');
+    const gameCodeLoadBtn = document.getElementById('game-code-load');
+    if (gameCodeInput && gameCodeLoadBtn) {
+        gameCodeLoadBtn.onclick = () => {
+            const settings = decodeGameCode(gameCodeInput.value);
+            if (!settings || !applyGameCode(settings)) {
+                gameCodeStatus.innerText = t('start.gameCodeInvalid', 'That game code is not valid for the questions on this device.');
+                return;
+            }
+            gameCodeInput.value = encodeGameCode(settings);
+            gameCodeStatus.innerText = t('start.gameCodeLoaded', 'Code loaded! Press Solo Player or Two Teams to play the same {count} questions.', { count: settings.length });
+        };
+        gameCodeInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') gameCodeLoadBtn.click();
+        });
+    }
+
+    // The host's Time Attack limit is kept for the next session
+    const timeAttackLimitSelect = document.getElementById('time-attack-limit');
+    if (timeAttackLimitSelect) {
+        const savedLimit = localStorage.getItem(TIME_ATTACK_LIMIT_STORAGE_KEY);
+        if (savedLimit && Array.from(timeAttackLimitSelect.options).some(opt => opt.value === savedLimit)) {
+            timeAttackLimitSelect.value = savedLimit;
+        }
+        timeAttackLimitSelect.addEventListener('change', () => {
+            localStorage.setItem(TIME_ATTACK_LIMIT_STORAGE_KEY, timeAttackLimitSelect.value);
+        });
+    }
+
+    // ...and so is the number of lives for Survival
+    const survivalLivesSelect = document.getElementById('survival-lives-select');
+    if (survivalLivesSelect) {
+        const savedLives = localStorage.getItem(SURVIVAL_LIVES_STORAGE_KEY);
+        if (savedLives && Array.from(survivalLivesSelect.options).some(opt => opt.value === savedLives)) {
+            survivalLivesSelect.value = savedLives;
+        }
+        survivalLivesSelect.addEventListener('change', () => {
+            localStorage.setItem(SURVIVAL_LIVES_STORAGE_KEY, survivalLivesSelect.value);
+        });
+    }
+
+    // ...and so are the buzz-in keys, which depend on the buzzers at hand
+    const buzzKeyInputs = BUZZ_IN_TEAMS.map(team => document.getElementById(`buzz-key-${team}`)).filter(Boolean);
+    if (buzzKeyInputs.length > 0) {
+        try {
+            const savedKeys = JSON.parse(localStorage.getItem(BUZZ_IN_KEYS_STORAGE_KEY)) || {};
+            BUZZ_IN_TEAMS.forEach(team => {
+                const input = document.getElementById(`buzz-key-${team}`);
+                if (input && typeof savedKeys[team] === 'string' && savedKeys[team]) input.value = savedKeys[team];
+            });
+        } catch (e) {
+            console.warn('Could not read the buzz-in keys:', e);
+        }
+        buzzKeyInputs.forEach(input => input.addEventListener('change', () => {
+            localStorage.setItem(BUZZ_IN_KEYS_STORAGE_KEY, JSON.stringify(getBuzzInKeys()));
+        }));
+    }
+
     // Attach event listeners for game start
     soloBtn.onclick = () => {
         exitBtn.style.display = 'block';
@@ -1915,6 +3042,34 @@ document.addEventListener('DOMContentLoaded', () => {
         exitBtn.style.display = 'block';
         startGame('teams');
     };
+    const studyBtn = document.getElementById('study');
+    if (studyBtn) {
+        studyBtn.onclick = () => {
+            exitBtn.style.display = 'block';
+            startGame('study');
+        };
+    }
+    const dailyBtn = document.getElementById('daily');
+    if (dailyBtn) {
+        dailyBtn.onclick = () => {
+            exitBtn.style.display = 'block';
+            startGame('daily');
+        };
+    }
+    const boardBtn = document.getElementById('board-mode');
+    if (boardBtn) {
+        boardBtn.onclick = () => {
+            exitBtn.style.display = 'block';
+            startGame('board');
+        };
+    }
+    const survivalBtn = document.getElementById('survival');
+    if (survivalBtn) {
+        survivalBtn.onclick = () => {
+            exitBtn.style.display = 'block';
+            startGame('survival');
+        };
+    }
     nextBtn.onclick = () => {
         // Hide explanation first if it's visible
         if (explanationDiv.style.display === 'block') {
@@ -1924,6 +3079,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 explanationDiv.style.opacity = '1';
             }, 300);
         }
+        sourcePanel.style.display = 'none';
         // Determine if next question is prophecy
         const nextQ = questions[currentQuestionIndex + 1];
         const isProphecy = nextQ && (nextQ.category === 'Prophecy' || nextQ.category === 'The Great Controversy');
@@ -1936,13 +3092,22 @@ document.addEventListener('DOMContentLoaded', () => {
                         setTimeout(() => {
                             showQuestion();
                         }, 100);
+                    } else if (isBoardMode && countOpenBoardTiles(categoryBoard) > 0) {
+                        showBoard();
+                    } else if (shouldPlayFinalRound()) {
+                        startFinalRound();
                     } else showEndScreen();
                 });
             });
         });
     };
     playAgainBtn.onclick = () => {
-        if (gameMode === 'solo') startGame('solo');
+        if (customQuiz) startGame(customQuiz.rules.mode, customQuiz);
+        else if (isStudyMode) startGame('study');
+        else if (isSurvivalMode) startGame('survival');
+        else if (isBoardMode) startGame('board');
+        // The Daily Challenge is played once, so play on with a regular solo game
+        else if (gameMode === 'solo') startGame('solo');
         else startGame('teams');
     };
     downloadBtn.onclick = downloadAnswers;
@@ -1975,7 +3140,7 @@ if (contrastToggle) {
 
 // --- Timer pulse for low time ---
 function updateTimerDisplay(timeLeft) {
-    timerDiv.innerText = `Time: ${timeLeft}`;
+    timerDiv.innerText = t('game.time', 'Time: {time}', { time: timeLeft });
     if (timeLeft <= 3) {
         timerDiv.classList.add('low-time');
     } else {
@@ -1,15 +1,40 @@
-const CACHE_NAME = 'sda-trivia-v3';
+const CACHE_NAME = 'sda-trivia-v24';
 const ASSETS = [
   '/',
   '/index.html',
+  '/i18n.js',
+  '/locales/es.json',
+  '/locales/pt.json',
+  '/locales/fr.json',
+  '/locales/sw.json',
   '/styles.css',
   '/script.js',
+  '/adaptive-difficulty.js',
+  '/study-mode.js',
+  '/game-codes.js',
+  '/daily-challenge.js',
+  '/survival-mode.js',
+  '/final-round.js',
+  '/board-mode.js',
+  '/buzz-in.js',
   '/questions.js',
+  '/question-packs.js',
+  '/question-references.js',
+  '/question-tags.js',
+  '/question-types.js',
+  '/question-media.js',
+  '/fun-facts.js',
+  '/question-editor.js',
+  '/question-reports.js',
+  '/question-stats.js',
+  '/quiz-builder.js',
+  '/lesson-plans.js',
   '/manifest.json',
   '/icon-192.png',
   '/icon-512.png',
   // Add all audio/image assets here
   '/Fear God.png',
+  '/media/sanctuary-plan.svg',
   '/correct_answer_1.wav',
   '/correct_answer_2.wav',
   '/WRONG BUZZER 7.wav',
@@ -49,6 +74,32 @@ self.addEventListener('fetch', event => {
     );
     return;
   }
+  // Network-first for question packs so newly published packs show up without a cache bump
+  if (new URL(event.request.url).pathname.includes('/packs/')) {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(cache =>
+        fetch(event.request).then(response => {
+          if (response.ok) cache.put(event.request, response.clone());
+          return response;
+        }).catch(() => caches.match(event.request))
+      )
+    );
+    return;
+  }
+  // Cache-first for question images and audio (media/), storing any file not cached yet,
+  // so media from question packs also works offline once it has been seen
+  if (new URL(event.request.url).pathname.includes('/media/')) {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(cache =>
+        cache.match(event.request).then(cached => cached || fetch(event.request).then(response => {
+          // Partial (range) responses for audio cannot be cached
+          if (response.status === 200) cache.put(event.request, response.clone());
+          return response;
+        }))
+      )
+    );
+    return;
+  }
   // Stale-while-revalidate (optional, for assets like questions.js)
   // if (event.request.url.endsWith('questions.js')) {
   //   event.respondWith(
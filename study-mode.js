@@ -0,0 +1,123 @@
+/**
+ * study-mode.js - SDA Trivia Challenge Study Mode
+ *
+ * Every question a player misses goes into a Leitner-box study deck. Study mode replays the
+ * questions that are due, without wagers or timers: a correct answer moves the question up a
+ * box (and further into the future), a miss sends it back to box 1. Questions answered
+ * correctly from the last box are considered learned and leave the deck.
+ */
+
+const STUDY_STORAGE_KEY = 'studyDeck';
+// Days until a question in each box is due again (box 1 is due immediately)
+const LEITNER_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the study deck.
+ * @returns {Object} - Map of question id to { box, due, misses }
+ */
+function getStudyDeck() {
+    try {
+        const deck = JSON.parse(localStorage.getItem(STUDY_STORAGE_KEY));
+        if (deck && typeof deck === 'object') return deck;
+    } catch (error) {
+        console.warn('Could not read study deck:', error);
+    }
+    return {};
+}
+
+function saveStudyDeck(deck) {
+    localStorage.setItem(STUDY_STORAGE_KEY, JSON.stringify(deck));
+}
+
+/**
+ * Puts a missed question (back) into box 1, due right away.
+ * @param {Object} question - The question that was missed
+ */
+function recordMissedQuestion(question) {
+    if (!question || !question.id) return;
+    const deck = getStudyDeck();
+    const card = deck[question.id] || { box: 1, due: 0, misses: 0 };
+    card.box = 1;
+    card.due = Date.now();
+    card.misses++;
+    deck[question.id] = card;
+    saveStudyDeck(deck);
+}
+
+/**
+ * Moves a question between boxes after it was answered in study mode.
+ * @param {Object} question - The question that was studied
+ * @param {boolean} correct - Whether it was answered correctly
+ * @returns {number|null} - The question's new box, or null once it is learned
+ */
+function recordStudyResult(question, correct) {
+    if (!correct) {
+        recordMissedQuestion(question);
+        return 1;
+    }
+    const deck = getStudyDeck();
+    const card = deck[question.id];
+    if (!card) return null;
+    if (card.box >= LEITNER_INTERVALS_DAYS.length) {
+        delete deck[question.id];
+        saveStudyDeck(deck);
+        return null;
+    }
+    card.box++;
+    card.due = Date.now() + LEITNER_INTERVALS_DAYS[card.box - 1] * DAY_MS;
+    saveStudyDeck(deck);
+    return card.box;
+}
+
+/**
+ * Returns the questions that are due for review, lowest box first.
+ * @param {Object[]} pool - The questions to look in (normally gameQuestions)
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {Object[]} - The due questions
+ */
+function getDueStudyQuestions(pool, now = Date.now()) {
+    const deck = getStudyDeck();
+    return pool
+        .filter(q => deck[q.id] && deck[q.id].due <= now)
+        .sort((a, b) => deck[a.id].box - deck[b.id].box);
+}
+
+/**
+ * Counts the due questions in each category.
+ * @param {Object[]} pool - The questions to look in (normally gameQuestions)
+ * @returns {Object} - Map of category to number of due questions
+ */
+function getStudyDueCounts(pool) {
+    return getDueStudyQuestions(pool).reduce((counts, q) => {
+        counts[q.category] = (counts[q.category] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Updates the Study button and the per-category due counts on the start screen.
+ */
+function renderStudyDueSummary() {
+    const studyBtn = document.getElementById('study');
+    const summary = document.getElementById('study-due');
+    const counts = getStudyDueCounts(gameQuestions);
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    if (studyBtn) {
+        studyBtn.innerText = t('start.studyDue', 'Study ({count} due)', { count: total });
+        studyBtn.disabled = total === 0;
+    }
+    if (summary) {
+        summary.innerHTML = '';
+        if (total === 0) {
+            summary.innerText = t('start.studyEmpty', 'Nothing to review yet. Questions you miss will show up here.');
+            return;
+        }
+        Object.keys(counts).sort().forEach(category => {
+            const chip = document.createElement('span');
+            chip.className = 'study-due-chip';
+            chip.innerText = `${CATEGORY_ICONS[category] || ''} ${localizeCategory(category)}: ${counts[category]}`;
+            summary.appendChild(chip);
+        });
+    }
+}
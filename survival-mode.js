@@ -0,0 +1,77 @@
+/**
+ * survival-mode.js - SDA Trivia Challenge Survival Mode
+ *
+ * A solo game without a fixed length: the player keeps answering questions from an endless
+ * shuffled pool until they have missed as many as they have lives (SURVIVAL_DEFAULT_LIVES
+ * unless the host picks another number on the start screen). The questions get harder every
+ * SURVIVAL_STAGE_LENGTH questions (see SURVIVAL_STAGES); once every question has been asked,
+ * the pool is reused, keeping the most recent ones out. Survival games have their own
+ * leaderboard, ranked by how many questions were answered correctly.
+ */
+
+const SURVIVAL_DEFAULT_LIVES = 3;
+const SURVIVAL_LIVES_STORAGE_KEY = 'survivalLives';
+const SURVIVAL_STAGE_LENGTH = 5;
+// The difficulties drawn from at each stage; the last stage lasts for the rest of the game
+const SURVIVAL_STAGES = [['easy'], ['easy', 'medium'], ['medium'], ['medium', 'hard'], ['hard']];
+// Name of the survival board in the saved leaderboards (the others are named by question count)
+const SURVIVAL_LEADERBOARD = 'survival';
+
+/**
+ * Returns the difficulties to draw from after a number of questions.
+ * @param {number} asked - Questions asked so far
+ * @returns {string[]} - Entries of QUESTION_DIFFICULTIES
+ */
+function getSurvivalStage(asked) {
+    return SURVIVAL_STAGES[Math.min(Math.floor(asked / SURVIVAL_STAGE_LENGTH), SURVIVAL_STAGES.length - 1)];
+}
+
+/**
+ * Picks the next question of a survival game.
+ * @param {Object[]} pool - The questions to draw from, in ID order so seeded games repeat
+ * @param {Object[]} asked - The questions asked so far, in order
+ * @param {function(): number} [random] - The random number generator (defaults to gameRandom)
+ * @returns {Object|null} - The question, or null if the pool is empty
+ */
+function getNextSurvivalQuestion(pool, asked, random = gameRandom) {
+    const askedIds = new Set(asked.map(q => q.id));
+    let fresh = pool.filter(q => !askedIds.has(q.id));
+    if (fresh.length === 0) {
+        // Every question has been asked: start over, but not with the latest half
+        const recentIds = new Set(asked.slice(-Math.floor(pool.length / 2)).map(q => q.id));
+        fresh = pool.filter(q => !recentIds.has(q.id));
+        if (fresh.length === 0) fresh = pool;
+    }
+    const stage = getSurvivalStage(asked.length);
+    const atStage = fresh.filter(q => stage.includes(q.difficulty));
+    // A pool without questions of the stage's difficulty is played as it is
+    const candidates = atStage.length > 0 ? atStage : fresh;
+    return candidates.length > 0 ? candidates[Math.floor(random() * candidates.length)] : null;
+}
+
+/**
+ * Reads the number of lives picked on the start screen.
+ * @returns {number} - The lives for a new survival game
+ */
+function getSurvivalLives() {
+    const select = document.getElementById('survival-lives-select');
+    const lives = select ? parseInt(select.value, 10) : NaN;
+    return lives > 0 ? lives : SURVIVAL_DEFAULT_LIVES;
+}
+
+/**
+ * Shows the lives left next to the faith tokens.
+ * @param {HTMLElement} el - The lives display (#survival-lives)
+ * @param {number} lives - Lives left
+ * @param {number} total - Lives at the start of the game
+ * @param {boolean} [animate] - Pulse the display, e.g. when a life is lost
+ */
+function renderSurvivalLives(el, lives, total, animate = false) {
+    el.innerText = '❤️'.repeat(Math.max(0, lives)) + '🖤'.repeat(Math.max(0, total - lives));
+    el.setAttribute('aria-label', t('game.livesLeft', 'Lives left: {count}', { count: Math.max(0, lives) }));
+    if (animate) {
+        el.classList.remove('life-lost');
+        void el.offsetWidth; // Restart the animation
+        el.classList.add('life-lost');
+    }
+}